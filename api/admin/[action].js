@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../../lib/adapters/vercel.js";
+import { handleAdmin } from "../../lib/admin.js";
+
+export default createVercelHandler(handleAdmin);
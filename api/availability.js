@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../lib/adapters/vercel.js";
+import { handleAvailability } from "../lib/booking.js";
+
+export default createVercelHandler(handleAvailability);
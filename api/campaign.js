@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../lib/adapters/vercel.js";
+import { handleCampaign } from "../lib/campaigns.js";
+
+export default createVercelHandler(handleCampaign);
@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../../lib/adapters/vercel.js";
+import { handleCouponRedeem } from "../../lib/coupon-api.js";
+
+export default createVercelHandler(handleCouponRedeem);
@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../../lib/adapters/vercel.js";
+import { handleCouponValidate } from "../../lib/coupon-api.js";
+
+export default createVercelHandler(handleCouponValidate);
@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../lib/adapters/vercel.js";
+import { handleEstimate } from "../lib/pricing.js";
+
+export default createVercelHandler(handleEstimate);
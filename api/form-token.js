@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../lib/adapters/vercel.js";
+import { handleFormToken } from "../lib/form-guard.js";
+
+export default createVercelHandler(handleFormToken);
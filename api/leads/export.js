@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../../lib/adapters/vercel.js";
+import { handleLeadExport } from "../../lib/lead-export.js";
+
+export default createVercelHandler(handleLeadExport);
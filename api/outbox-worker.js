@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../lib/adapters/vercel.js";
+import { handleOutboxWorker } from "../lib/outbox-worker.js";
+
+export default createVercelHandler(handleOutboxWorker);
@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../../lib/adapters/vercel.js";
+import { handlePromoLeadConfirm } from "../../lib/promo-confirm.js";
+
+export default createVercelHandler(handlePromoLeadConfirm);
@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../lib/adapters/vercel.js";
+import { handleQuoteRequest } from "../lib/quote-request.js";
+
+export default createVercelHandler(handleQuoteRequest);
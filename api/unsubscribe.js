@@ -0,0 +1,4 @@
+import { createVercelHandler } from "../lib/adapters/vercel.js";
+import { handleUnsubscribe } from "../lib/unsubscribe.js";
+
+export default createVercelHandler(handleUnsubscribe);
@@ -0,0 +1,164 @@
+// Email checks shared by the pages and the API (lib/email-quality.js loads this same file): the
+// address format, and a correction when the domain looks like a misspelled common one.
+//
+//   bwsEmailCheck.check(email)   { ok, reason, suggestion }
+//     reason      "" or "format"
+//     suggestion  the address with the domain corrected ("ana@gmail.com"), or ""
+(function () {
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i;
+
+  // Domains a misspelling is corrected to.
+  const COMMON_DOMAINS = [
+    "gmail.com",
+    "yahoo.com",
+    "hotmail.com",
+    "outlook.com",
+    "icloud.com",
+    "aol.com",
+    "live.com",
+    "msn.com",
+    "comcast.net",
+    "verizon.net",
+    "att.net",
+    "protonmail.com",
+    "yahoo.com.br",
+    "hotmail.com.br",
+    "uol.com.br",
+    "bol.com.br",
+    "terra.com.br",
+    "hotmail.es",
+    "yahoo.es",
+  ];
+
+  // Real domains, such as other countries' editions, that sit one or two letters away from a common
+  // one and are never corrected.
+  const KNOWN_DOMAINS = COMMON_DOMAINS.concat([
+    "mail.com",
+    "ymail.com",
+    "gmx.com",
+    "me.com",
+    "mac.com",
+    "aim.com",
+    "proton.me",
+    "uol.com",
+    "bol.com",
+    "yahoo.com.mx",
+    "yahoo.com.ar",
+    "yahoo.com.co",
+    "hotmail.com.ar",
+    "outlook.es",
+    "live.es",
+    "hotmail.fr",
+    "hotmail.it",
+    "hotmail.de",
+    "yahoo.fr",
+    "yahoo.it",
+    "yahoo.de",
+    "live.fr",
+    "live.ca",
+  ]);
+
+  // Endings that are almost always a slip on the keyboard, for domains of any name.
+  const ENDING_TYPOS = {
+    con: "com",
+    cmo: "com",
+    cim: "com",
+    vom: "com",
+    xom: "com",
+    comm: "com",
+    ner: "net",
+    nte: "net",
+    ogr: "org",
+  };
+
+  // Second-level labels that countries sell domains under, as in .com.br or .co.uk.
+  const SECOND_LEVEL_LABELS = ["com", "net", "org", "gov", "edu", "co"];
+
+  // Edits between two strings, counting a swap of neighbouring letters ("gmial") as one.
+  function distance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i += 1) {
+      rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j += 1) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i += 1) {
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  // The ending a registry sells under: "com.br" for yahoo.com.br, "com" for gmail.com.
+  function getSuffix(domain) {
+    const labels = domain.split(".");
+    const last = labels[labels.length - 1];
+    const second = labels[labels.length - 2];
+    return labels.length > 2 && last.length === 2 && SECOND_LEVEL_LABELS.indexOf(second) !== -1
+      ? second + "." + last
+      : last;
+  }
+
+  function suggestDomain(domain) {
+    if (KNOWN_DOMAINS.indexOf(domain) !== -1) {
+      return "";
+    }
+
+    const dot = domain.lastIndexOf(".");
+    const ending = ENDING_TYPOS[domain.slice(dot + 1)];
+    const fixed = dot > 0 && ending ? domain.slice(0, dot + 1) + ending : domain;
+    if (fixed !== domain && KNOWN_DOMAINS.indexOf(fixed) !== -1) {
+      return fixed;
+    }
+
+    // Only domains under the same ending are compared, since another country's edition
+    // (yahoo.com.mx, hotmail.com.ar) is a real address and not a slip on yahoo.com.br.
+    const suffix = getSuffix(fixed);
+    let best = "";
+    let bestDistance = Infinity;
+    COMMON_DOMAINS.forEach(function (candidate) {
+      const edits = getSuffix(candidate) === suffix ? distance(fixed, candidate) : Infinity;
+      if (edits < bestDistance) {
+        best = candidate;
+        bestDistance = edits;
+      }
+    });
+
+    // Two edits only for longer domains that start like the match, so real ones such as aim.com
+    // or yopmail.com are not read as aol.com or hotmail.com.
+    if (bestDistance <= (fixed.length >= 10 && fixed[0] === best[0] ? 2 : 1)) {
+      return best;
+    }
+    return fixed === domain ? "" : fixed;
+  }
+
+  function check(email) {
+    const value = String(email || "").trim();
+    if (!EMAIL_PATTERN.test(value)) {
+      return { ok: false, reason: "format", suggestion: "" };
+    }
+
+    const at = value.lastIndexOf("@");
+    const domain = suggestDomain(value.slice(at + 1).toLowerCase());
+    return { ok: true, reason: "", suggestion: domain ? value.slice(0, at + 1) + domain : "" };
+  }
+
+  const emailCheck = {
+    EMAIL_PATTERN: EMAIL_PATTERN,
+    check: check,
+    suggestDomain: suggestDomain,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = emailCheck;
+  } else {
+    window.bwsEmailCheck = emailCheck;
+  }
+})();
@@ -0,0 +1,95 @@
+// Anti-bot fields shared by the quote and promo forms. As the page loads it asks
+// /api/form-token for a signed timestamp (the server rejects forms sent back too quickly) and,
+// when CAPTCHA checks are on, renders the provider's widget into the form.
+//
+//   const guard = bwsFormGuard.attach(slot)   slot is an empty element in the form for the widget
+//   await guard.fields()                     { formToken, captchaToken } to add to the POST body
+//   guard.reset()                            after a failed send; a CAPTCHA answer works only once
+(function () {
+  const CAPTCHA_SCRIPTS = {
+    turnstile: "https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit",
+    hcaptcha: "https://js.hcaptcha.com/1/api.js?render=explicit",
+  };
+  // Both widgets put their script's API on a global of the provider's name.
+  const CAPTCHA_GLOBALS = { turnstile: "turnstile", hcaptcha: "hcaptcha" };
+  let settings = null;
+
+  function loadSettings() {
+    if (!settings) {
+      settings = fetch("/api/form-token", { headers: { Accept: "application/json" } })
+        .then(function (response) {
+          return response.ok ? response.json() : {};
+        })
+        .catch(function () {
+          // Without a token the server explains on submit; the form itself keeps working.
+          return {};
+        });
+    }
+    return settings;
+  }
+
+  function loadCaptchaScript(provider) {
+    return new Promise(function (resolve, reject) {
+      const script = document.createElement("script");
+      script.src = CAPTCHA_SCRIPTS[provider];
+      script.async = true;
+      script.addEventListener("load", function () {
+        resolve(window[CAPTCHA_GLOBALS[provider]]);
+      });
+      script.addEventListener("error", function () {
+        reject(new Error("Unable to load the " + provider + " widget."));
+      });
+      document.head.appendChild(script);
+    });
+  }
+
+  function attach(slot) {
+    let captchaToken = "";
+    let widget = null;
+
+    const ready = loadSettings().then(function (result) {
+      const captcha = result.captcha;
+      if (!captcha || !CAPTCHA_SCRIPTS[captcha.provider] || !slot) {
+        return result;
+      }
+
+      slot.hidden = false;
+      return loadCaptchaScript(captcha.provider)
+        .then(function (api) {
+          const id = api.render(slot, {
+            sitekey: captcha.siteKey,
+            callback: function (token) {
+              captchaToken = token;
+            },
+            "expired-callback": function () {
+              captchaToken = "";
+            },
+          });
+          widget = { api: api, id: id };
+          return result;
+        })
+        .catch(function (error) {
+          console.error(error instanceof Error ? error.message : String(error));
+          return result;
+        });
+    });
+
+    return {
+      fields: function () {
+        return ready.then(function (result) {
+          return { formToken: result.token || "", captchaToken: captchaToken };
+        });
+      },
+      reset: function () {
+        if (widget) {
+          captchaToken = "";
+          widget.api.reset(widget.id);
+        }
+      },
+    };
+  }
+
+  window.bwsFormGuard = {
+    attach: attach,
+  };
+})();
@@ -0,0 +1,201 @@
+// Page localization shared by the landing and promo pages. English is the copy in the HTML;
+// other languages swap in text from /locales/<locale>.json (the same catalog the API uses).
+//
+//   data-i18n="key"                  sets the element's text
+//   data-i18n-html="key"             sets its markup (for copy with inline links or accents)
+//   data-i18n-attr="attr:key,..."    sets attributes such as placeholder or aria-label
+//   data-locale="pt-BR"              a language switcher button
+//   <input name="locale">            filled with the active locale so form posts carry it
+(function () {
+  const SUPPORTED_LOCALES = ["en", "pt-BR", "es"];
+  const DEFAULT_LOCALE = "en";
+  const STORAGE_KEY = "bws_locale";
+  // Fetches in flight or done, and the catalogs that have arrived.
+  const catalogs = {};
+  const loaded = {};
+  const listeners = [];
+  let activeLocale = DEFAULT_LOCALE;
+  let switchCount = 0;
+
+  function matchLocale(value) {
+    const tag = String(value || "")
+      .trim()
+      .replace(/_/g, "-")
+      .toLowerCase();
+    if (!tag) {
+      return null;
+    }
+
+    const exact = SUPPORTED_LOCALES.find(function (locale) {
+      return locale.toLowerCase() === tag;
+    });
+    if (exact) {
+      return exact;
+    }
+
+    const language = tag.split("-")[0];
+    return (
+      SUPPORTED_LOCALES.find(function (locale) {
+        return locale.toLowerCase().split("-")[0] === language;
+      }) || null
+    );
+  }
+
+  function readStoredLocale() {
+    try {
+      return window.localStorage.getItem(STORAGE_KEY);
+    } catch (storageError) {
+      return null;
+    }
+  }
+
+  function storeLocale(locale) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, locale);
+    } catch (storageError) {
+      // Private browsing can block storage; the choice then lasts for this page only.
+    }
+  }
+
+  // A ?lang= link or an earlier choice on the switcher wins; otherwise the browser's languages,
+  // which are the same list it sends to the API as Accept-Language.
+  function detectLocale() {
+    const fromLink = matchLocale(new URLSearchParams(window.location.search).get("lang"));
+    if (fromLink) {
+      storeLocale(fromLink);
+      return fromLink;
+    }
+
+    const candidates = [readStoredLocale()].concat(
+      navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language]
+    );
+    for (const candidate of candidates) {
+      const locale = matchLocale(candidate);
+      if (locale) {
+        return locale;
+      }
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  function loadCatalog(locale) {
+    if (!catalogs[locale]) {
+      catalogs[locale] = fetch("/locales/" + locale + ".json", {
+        headers: { Accept: "application/json" },
+      }).then(function (response) {
+        if (!response.ok) {
+          throw new Error("Unable to load the " + locale + " catalog.");
+        }
+        return response.json();
+      });
+      // A failed load can be retried the next time this language is picked.
+      catalogs[locale].catch(function () {
+        delete catalogs[locale];
+      });
+    }
+    return catalogs[locale];
+  }
+
+  function translate(key, params) {
+    const catalog = loaded[activeLocale] || {};
+    const template = catalog[key] || (loaded[DEFAULT_LOCALE] || {})[key] || key;
+    return template.replace(/\{(\w+)\}/g, function (match, name) {
+      return params && params[name] !== undefined ? String(params[name]) : match;
+    });
+  }
+
+  function applyLocale() {
+    document.documentElement.lang = activeLocale;
+
+    document.querySelectorAll("[data-i18n]").forEach(function (element) {
+      element.textContent = translate(element.getAttribute("data-i18n"));
+    });
+    // Markup comes only from our own catalog files, never from visitor input.
+    document.querySelectorAll("[data-i18n-html]").forEach(function (element) {
+      element.innerHTML = translate(element.getAttribute("data-i18n-html"));
+    });
+    document.querySelectorAll("[data-i18n-attr]").forEach(function (element) {
+      element
+        .getAttribute("data-i18n-attr")
+        .split(",")
+        .forEach(function (pair) {
+          const parts = pair.split(":");
+          if (parts.length === 2) {
+            element.setAttribute(parts[0].trim(), translate(parts[1].trim()));
+          }
+        });
+    });
+
+    syncControls();
+    listeners.forEach(function (listener) {
+      listener(activeLocale);
+    });
+  }
+
+  function syncControls() {
+    document.querySelectorAll("[data-locale]").forEach(function (button) {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.getAttribute("data-locale") === activeLocale)
+      );
+    });
+    document.querySelectorAll('input[name="locale"]').forEach(function (input) {
+      input.value = activeLocale;
+    });
+  }
+
+  function setLocale(value, remember) {
+    const locale = matchLocale(value) || DEFAULT_LOCALE;
+    if (remember) {
+      storeLocale(locale);
+    }
+
+    // Only the latest pick is applied when several clicks race their catalog loads.
+    const switchId = ++switchCount;
+    return Promise.all([loadCatalog(DEFAULT_LOCALE), loadCatalog(locale)])
+      .then(function (results) {
+        loaded[DEFAULT_LOCALE] = results[0];
+        loaded[locale] = results[1];
+        if (switchId !== switchCount) {
+          return;
+        }
+        activeLocale = locale;
+        applyLocale();
+      })
+      .catch(function (error) {
+        // Keep the current language rather than showing catalog keys.
+        console.error(error instanceof Error ? error.message : String(error));
+      });
+  }
+
+  document.querySelectorAll("[data-locale]").forEach(function (button) {
+    button.addEventListener("click", function () {
+      setLocale(button.getAttribute("data-locale"), true);
+    });
+  });
+
+  syncControls();
+  const initialLocale = detectLocale();
+  // The page is already in English, so then the catalog is only needed for script messages.
+  const ready =
+    initialLocale === DEFAULT_LOCALE
+      ? loadCatalog(DEFAULT_LOCALE)
+          .then(function (catalog) {
+            loaded[DEFAULT_LOCALE] = catalog;
+          })
+          .catch(function () {})
+      : setLocale(initialLocale, false);
+
+  window.bwsI18n = {
+    getLocale: function () {
+      return activeLocale;
+    },
+    onChange: function (listener) {
+      listeners.push(listener);
+    },
+    // Settles once the first language is applied; wait on it before showing messages on load.
+    ready: ready,
+    setLocale: setLocale,
+    t: translate,
+  };
+})();
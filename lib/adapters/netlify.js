@@ -0,0 +1,49 @@
+const { normalizeIp, resolveClientIp } = require("../client-ip");
+const { normalizeHeaders } = require("../http");
+
+function getClientIp(headers) {
+  // Netlify's edge sets this header itself, so it cannot be spoofed by the client.
+  return (
+    normalizeIp(headers["x-nf-client-connection-ip"]) ||
+    resolveClientIp({ forwardedFor: headers["x-forwarded-for"] })
+  );
+}
+
+function toLeadRequest(event) {
+  const headers = normalizeHeaders(event.headers);
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(event.queryStringParameters || {})) {
+    if (typeof value === "string") {
+      query.set(key, value);
+    }
+  }
+
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64").toString("utf8")
+    : event.body || "";
+
+  return {
+    method: String(event.httpMethod || "GET").toUpperCase(),
+    path: event.path || "/",
+    query,
+    headers,
+    rawBody,
+    bodyError: null,
+    ip: getClientIp(headers),
+  };
+}
+
+function createNetlifyHandler(handler) {
+  return async function netlifyHandler(event) {
+    const response = await handler(toLeadRequest(event));
+    return {
+      statusCode: response.statusCode,
+      headers: response.headers || {},
+      body: response.body || "",
+    };
+  };
+}
+
+module.exports = {
+  createNetlifyHandler,
+};
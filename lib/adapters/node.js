@@ -0,0 +1,82 @@
+const { resolveClientIp } = require("../client-ip");
+const { MAX_BODY_SIZE, normalizeHeaders } = require("../http");
+
+function getClientIp(req, headers) {
+  // X-Forwarded-For is only honoured for hops that arrive through TRUSTED_PROXIES.
+  return resolveClientIp({
+    remoteAddress: req.socket && req.socket.remoteAddress,
+    forwardedFor: headers["x-forwarded-for"],
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on("data", (chunk) => {
+      if (tooLarge) {
+        return;
+      }
+
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        tooLarge = true;
+        chunks.length = 0;
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      resolve({ rawBody: Buffer.concat(chunks).toString("utf8"), tooLarge });
+    });
+
+    req.on("error", (err) => {
+      reject(err);
+    });
+  });
+}
+
+async function toLeadRequest(req, requestUrl) {
+  const method = String(req.method || "GET").toUpperCase();
+  let rawBody = "";
+  let bodyError = null;
+
+  if (method !== "GET" && method !== "HEAD") {
+    const body = await readBody(req);
+    rawBody = body.rawBody;
+    bodyError = body.tooLarge ? "too-large" : null;
+  }
+
+  const headers = normalizeHeaders(req.headers);
+  return {
+    method,
+    path: requestUrl.pathname,
+    query: requestUrl.searchParams,
+    headers,
+    rawBody,
+    bodyError,
+    ip: getClientIp(req, headers),
+  };
+}
+
+function writeResponse(res, response) {
+  res.writeHead(response.statusCode, response.headers || {});
+  res.end(response.body || "");
+}
+
+function createNodeHandler(handler) {
+  return async function nodeHandler(req, res, requestUrl) {
+    const request = await toLeadRequest(req, requestUrl);
+    const response = await handler(request);
+    writeResponse(res, response);
+  };
+}
+
+module.exports = {
+  createNodeHandler,
+  writeResponse,
+};
@@ -0,0 +1,70 @@
+const { normalizeIp, resolveClientIp } = require("../client-ip");
+const { isFormEncoded, normalizeHeaders } = require("../http");
+
+function getClientIp(headers) {
+  // Vercel overwrites X-Real-IP at the edge with the connecting client's address.
+  return (
+    normalizeIp(headers["x-real-ip"]) ||
+    resolveClientIp({ forwardedFor: headers["x-forwarded-for"] })
+  );
+}
+
+function readBody(req) {
+  let body;
+  try {
+    body = req.body;
+  } catch (error) {
+    return { rawBody: "", bodyError: "invalid" };
+  }
+
+  if (body === undefined || body === null) {
+    return { rawBody: "", bodyError: null };
+  }
+
+  if (Buffer.isBuffer(body)) {
+    return { rawBody: body.toString("utf8"), bodyError: null };
+  }
+
+  if (typeof body === "string") {
+    return { rawBody: body, bodyError: null };
+  }
+
+  if (isFormEncoded({ headers: normalizeHeaders(req.headers) })) {
+    return { rawBody: new URLSearchParams(body).toString(), bodyError: null };
+  }
+
+  return { rawBody: JSON.stringify(body), bodyError: null };
+}
+
+function toLeadRequest(req) {
+  const requestUrl = new URL(req.url || "/", `https://${req.headers.host || "localhost"}`);
+  const method = String(req.method || "GET").toUpperCase();
+  const headers = normalizeHeaders(req.headers);
+  const body =
+    method === "GET" || method === "HEAD" ? { rawBody: "", bodyError: null } : readBody(req);
+
+  return {
+    method,
+    path: requestUrl.pathname,
+    query: requestUrl.searchParams,
+    headers,
+    rawBody: body.rawBody,
+    bodyError: body.bodyError,
+    ip: getClientIp(headers),
+  };
+}
+
+function createVercelHandler(handler) {
+  return async function vercelHandler(req, res) {
+    const response = await handler(toLeadRequest(req));
+    res.statusCode = response.statusCode;
+    for (const [key, value] of Object.entries(response.headers || {})) {
+      res.setHeader(key, value);
+    }
+    res.end(response.body || "");
+  };
+}
+
+module.exports = {
+  createVercelHandler,
+};
@@ -0,0 +1,276 @@
+const { checkAdminCredentials, getAdminCredentialVersion, isAdminConfigured } = require("./auth");
+const { validateCoupon } = require("./coupons");
+const { getPublicBaseUrl, json, parseRequestBody, readCookie, readString } = require("./http");
+const { getLeadStore } = require("./lead-store");
+const { listDeadLetters, listOutbox } = require("./outbox");
+const { checkRateLimit, getRateLimitHeaders, peekRateLimit } = require("./rate-limit");
+const { createSignedToken, verifySignedToken } = require("./signed-token");
+const { runSinks, summarizeSyncStatus } = require("./sinks");
+const { getSuppression } = require("./suppression");
+
+const ADMIN_SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS || 12);
+const SESSION_COOKIE = "bws_admin";
+const SESSION_PURPOSE = "admin-session";
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SYNC_STATUSES = ["ok", "queued", "failed", "skipped", "none"];
+
+function adminJson(statusCode, payload, extraHeaders = {}) {
+  return json(statusCode, payload, { "X-Robots-Tag": "noindex, nofollow", ...extraHeaders });
+}
+
+function sessionCookie(request, value, maxAgeSeconds) {
+  const parts = [
+    `${SESSION_COOKIE}=${value}`,
+    "Path=/api/admin",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (getPublicBaseUrl(request).startsWith("https:")) {
+    parts.push("Secure");
+  }
+  return parts.join("; ");
+}
+
+function getSession(request) {
+  const token = readCookie(request, SESSION_COOKIE);
+  if (!token) {
+    return null;
+  }
+
+  const verified = verifySignedToken(token, SESSION_PURPOSE);
+  // Changing ADMIN_USERNAME or ADMIN_PASSWORD signs everyone out.
+  if (!verified.ok || verified.data.v !== getAdminCredentialVersion()) {
+    return null;
+  }
+
+  return { username: verified.data.user };
+}
+
+function toLeadSummary(record) {
+  return {
+    email: record.email,
+    name: record.name,
+    phone: record.phone,
+    coupon: record.coupon,
+    sources: record.sources,
+    firstSeenAt: record.firstSeenAt,
+    lastSeenAt: record.lastSeenAt,
+    submissionCount: record.submissions.length,
+    hasQuote: record.submissions.some((submission) => Boolean(submission.quote)),
+    optInStatus: record.optIn ? record.optIn.status : null,
+    unsubscribedAt: record.unsubscribedAt || null,
+    syncStatus: summarizeSyncStatus(record.sync),
+  };
+}
+
+function readPageNumber(value, fallback, max) {
+  const number = Number.parseInt(value || "", 10);
+  return Number.isInteger(number) && number >= 0 ? Math.min(number, max) : fallback;
+}
+
+async function getSessionInfo(request, session) {
+  return adminJson(200, {
+    ok: true,
+    configured: isAdminConfigured(),
+    authenticated: Boolean(session),
+    username: session ? session.username : null,
+  });
+}
+
+async function login(request) {
+  if (!isAdminConfigured()) {
+    return adminJson(503, { ok: false, error: "The admin console is not configured." });
+  }
+
+  // Only failed sign-ins count, so staff signing in through the day are never locked out.
+  const ip = request.ip || "unknown";
+  const limit = await peekRateLimit("ip", "admin-login", ip);
+  if (limit.limited) {
+    return adminJson(
+      429,
+      { ok: false, error: "Too many sign-in attempts. Try again later." },
+      getRateLimitHeaders(limit)
+    );
+  }
+
+  const body = parseRequestBody(request);
+  if (!body.ok) {
+    return body.response;
+  }
+
+  const username = readString(body.value, "username");
+  const password = typeof body.value.password === "string" ? body.value.password : "";
+  if (!checkAdminCredentials(username, password)) {
+    console.warn("[admin] Failed sign-in for \"%s\" from %s.", username, request.ip);
+    await checkRateLimit("ip", "admin-login", ip);
+    return adminJson(401, { ok: false, error: "Wrong username or password." });
+  }
+
+  const maxAgeSeconds = Math.round(ADMIN_SESSION_HOURS * 60 * 60);
+  const token = createSignedToken(
+    SESSION_PURPOSE,
+    { user: username, v: getAdminCredentialVersion() },
+    maxAgeSeconds * 1000
+  );
+
+  console.log("[admin] %s signed in from %s.", username, request.ip);
+  return adminJson(
+    200,
+    { ok: true, username },
+    { "Set-Cookie": sessionCookie(request, token, maxAgeSeconds) }
+  );
+}
+
+async function logout(request) {
+  return adminJson(200, { ok: true }, { "Set-Cookie": sessionCookie(request, "", 0) });
+}
+
+async function listLeads(request) {
+  const query = request.query;
+  const search = (query.get("q") || "").trim().toLowerCase();
+  const sync = (query.get("sync") || "").trim();
+  if (sync && !SYNC_STATUSES.includes(sync)) {
+    return adminJson(400, { ok: false, error: `sync must be one of ${SYNC_STATUSES.join(", ")}.` });
+  }
+
+  const store = getLeadStore();
+  const [records, everyone] = await Promise.all([
+    store.list({
+      from: query.get("from") || "",
+      to: query.get("to") || "",
+      source: query.get("source") || "",
+    }),
+    store.list(),
+  ]);
+
+  const leads = records.map(toLeadSummary).filter((lead) => {
+    if (search && !`${lead.name} ${lead.email}`.toLowerCase().includes(search)) {
+      return false;
+    }
+    return !sync || lead.syncStatus === sync;
+  });
+
+  const offset = readPageNumber(query.get("offset"), 0, Number.MAX_SAFE_INTEGER);
+  const limit = readPageNumber(query.get("limit"), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const sources = Array.from(new Set(everyone.flatMap((record) => record.sources))).sort();
+
+  return adminJson(200, {
+    ok: true,
+    total: leads.length,
+    offset,
+    limit,
+    sources,
+    leads: leads.slice(offset, offset + limit),
+  });
+}
+
+async function getLead(request) {
+  const email = (request.query.get("email") || "").trim().toLowerCase();
+  const record = email ? await getLeadStore().get(email) : null;
+  if (!record) {
+    return adminJson(404, { ok: false, error: "Lead not found." });
+  }
+
+  const [suppression, couponResult, outbox, deadLetters] = await Promise.all([
+    getSuppression(email),
+    record.coupon ? validateCoupon(record.coupon) : null,
+    listOutbox(),
+    listDeadLetters(),
+  ]);
+
+  const toRetry = (queue) => (entry) => ({
+    id: entry.id,
+    queue,
+    sink: entry.sink,
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+    nextAttemptAt: entry.nextAttemptAt,
+    deadLetteredAt: entry.deadLetteredAt || null,
+  });
+
+  return adminJson(200, {
+    ok: true,
+    lead: {
+      ...record,
+      syncStatus: summarizeSyncStatus(record.sync),
+      suppression,
+      couponDetails: couponResult ? couponResult.coupon || null : null,
+      retries: [
+        ...outbox.filter((entry) => entry.lead.email === email).map(toRetry("outbox")),
+        ...deadLetters.filter((entry) => entry.lead.email === email).map(toRetry("dead-letter")),
+      ],
+    },
+  });
+}
+
+async function resyncLead(request, session) {
+  const body = parseRequestBody(request);
+  if (!body.ok) {
+    return body.response;
+  }
+
+  const email = readString(body.value, "email").toLowerCase();
+  const store = getLeadStore();
+  const record = email ? await store.get(email) : null;
+  if (!record) {
+    return adminJson(404, { ok: false, error: "Lead not found." });
+  }
+
+  if (await getSuppression(email)) {
+    return adminJson(409, { ok: false, error: "This address has unsubscribed." });
+  }
+
+  if (record.optIn && record.optIn.status === "pending") {
+    return adminJson(409, { ok: false, error: "This lead has not confirmed their email yet." });
+  }
+
+  const latest = record.submissions[record.submissions.length - 1];
+  const lead = { ...latest, coupon: record.coupon || latest.coupon };
+
+  console.log("[admin] %s re-triggered CRM sync for %s.", session.username, email);
+  const delivery = await runSinks(lead, { logPrefix: "admin-resync", notify: false });
+  return adminJson(200, { ok: delivery.ok, results: delivery.results });
+}
+
+const ADMIN_ROUTES = {
+  session: { method: "GET", public: true, handler: getSessionInfo },
+  login: { method: "POST", public: true, handler: login },
+  logout: { method: "POST", public: true, handler: logout },
+  leads: { method: "GET", handler: listLeads },
+  lead: { method: "GET", handler: getLead },
+  resync: { method: "POST", handler: resyncLead },
+};
+
+async function handleAdmin(request) {
+  // Route on the last path segment so /api/admin/leads and /.netlify/functions/admin/leads match.
+  const action = request.path.split("/").filter(Boolean).pop();
+  const route = Object.prototype.hasOwnProperty.call(ADMIN_ROUTES, action)
+    ? ADMIN_ROUTES[action]
+    : null;
+  if (!route) {
+    return adminJson(404, { ok: false, error: "Not found." });
+  }
+
+  if (request.method !== route.method) {
+    return adminJson(405, { ok: false, error: "Method not allowed." }, { Allow: route.method });
+  }
+
+  try {
+    const session = isAdminConfigured() ? getSession(request) : null;
+    if (!route.public && !session) {
+      return adminJson(401, { ok: false, error: "Please sign in." });
+    }
+
+    return await route.handler(request, session);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[admin] %s failed: %s", action, message);
+    return adminJson(500, { ok: false, error: "Something went wrong. Please try again." });
+  }
+}
+
+module.exports = {
+  handleAdmin,
+};
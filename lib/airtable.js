@@ -0,0 +1,160 @@
+const AIRTABLE_API_KEY = (process.env.AIRTABLE_API_KEY || "").trim();
+const AIRTABLE_BASE_ID = (process.env.AIRTABLE_BASE_ID || "").trim();
+const AIRTABLE_TABLE = (process.env.AIRTABLE_TABLE || "Leads").trim();
+const AIRTABLE_API_BASE = (process.env.AIRTABLE_API_BASE || "https://api.airtable.com").replace(
+  /\/+$/,
+  ""
+);
+
+const DEFAULT_FIELD_MAP = {
+  name: "Name",
+  email: "Email",
+  source: "Source",
+  pagePath: "Page Path",
+  createdAt: "Created At",
+  coupon: "Coupon",
+};
+
+const LEAD_FIELD_GETTERS = {
+  name: (lead) => lead.name,
+  email: (lead) => lead.email,
+  phone: (lead) => lead.phone,
+  source: (lead) => lead.source,
+  pagePath: (lead) => lead.pagePath,
+  createdAt: (lead) => lead.createdAt,
+  coupon: (lead) => lead.coupon,
+  serviceType: (lead) => lead.quote && lead.quote.serviceType,
+  size: (lead) => lead.quote && lead.quote.size,
+  location: (lead) => lead.quote && lead.quote.location,
+  desiredDate: (lead) => lead.quote && lead.quote.desiredDate,
+  bookedSlot: (lead) => lead.quote && lead.quote.booking && lead.quote.booking.startsAt,
+  addOns: (lead) => lead.quote && lead.quote.addOns && lead.quote.addOns.join(", "),
+  priceEstimate: (lead) => {
+    const estimate = lead.quote && lead.quote.estimate;
+    return estimate && `${estimate.low}-${estimate.high} ${estimate.currency}`;
+  },
+  notes: (lead) => lead.quote && lead.quote.notes,
+};
+
+function loadFieldMap() {
+  const raw = (process.env.AIRTABLE_FIELD_MAP || "").trim();
+  if (!raw) {
+    return DEFAULT_FIELD_MAP;
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    const fieldMap = { ...DEFAULT_FIELD_MAP };
+    for (const [key, column] of Object.entries(parsed)) {
+      if (!LEAD_FIELD_GETTERS[key]) {
+        console.warn("[airtable] Ignoring unknown lead field %s in AIRTABLE_FIELD_MAP.", key);
+        continue;
+      }
+      fieldMap[key] = typeof column === "string" ? column.trim() : "";
+    }
+    return fieldMap;
+  } catch (error) {
+    console.warn("[airtable] AIRTABLE_FIELD_MAP is not valid JSON; using the default mapping.");
+    return DEFAULT_FIELD_MAP;
+  }
+}
+
+const AIRTABLE_FIELD_MAP = loadFieldMap();
+
+function getAirtableSkipReason() {
+  if (!AIRTABLE_API_KEY) {
+    return "AIRTABLE_API_KEY is not configured";
+  }
+
+  if (!AIRTABLE_BASE_ID) {
+    return "AIRTABLE_BASE_ID is not configured";
+  }
+
+  if (!AIRTABLE_FIELD_MAP.email) {
+    return "AIRTABLE_FIELD_MAP has no email column to upsert on";
+  }
+
+  return "";
+}
+
+function buildFields(lead) {
+  const fields = {};
+  for (const [key, column] of Object.entries(AIRTABLE_FIELD_MAP)) {
+    const value = column ? LEAD_FIELD_GETTERS[key](lead) : "";
+    if (value) {
+      fields[column] = value;
+    }
+  }
+  return fields;
+}
+
+async function getAirtableErrorMessage(response) {
+  const raw = await response.text();
+  if (!raw) {
+    return `${response.status} ${response.statusText}`.trim();
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    const error = parsed.error;
+    if (error && typeof error === "object") {
+      return error.message || error.type || raw;
+    }
+    return error || raw;
+  } catch (error) {
+    return raw;
+  }
+}
+
+async function syncLeadToAirtable(lead, options = {}) {
+  const skipReason = getAirtableSkipReason();
+  if (skipReason) {
+    return { skipped: true, reason: skipReason };
+  }
+
+  const response = await fetch(
+    `${AIRTABLE_API_BASE}/v0/${encodeURIComponent(AIRTABLE_BASE_ID)}/${encodeURIComponent(
+      AIRTABLE_TABLE
+    )}`,
+    {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${AIRTABLE_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        performUpsert: { fieldsToMergeOn: [AIRTABLE_FIELD_MAP.email] },
+        records: [{ fields: buildFields(lead) }],
+        typecast: true,
+      }),
+      signal: options.signal,
+    }
+  );
+
+  if (!response.ok) {
+    const errorMessage = await getAirtableErrorMessage(response);
+    throw new Error(`Airtable upsert failed (${response.status}): ${errorMessage}`);
+  }
+
+  let result = {};
+  try {
+    result = await response.json();
+  } catch (error) {
+    result = {};
+  }
+
+  const created = Array.isArray(result.createdRecords) && result.createdRecords.length > 0;
+  return { skipped: false, action: created ? "created" : "updated" };
+}
+
+const airtableSink = {
+  name: "airtable",
+  policy: "best-effort",
+  getSkipReason: getAirtableSkipReason,
+  run: syncLeadToAirtable,
+};
+
+module.exports = {
+  airtableSink,
+  syncLeadToAirtable,
+};
@@ -0,0 +1,69 @@
+const MAX_PARAM_LENGTH = 200;
+const MAX_CLICK_ID_LENGTH = 500;
+const MAX_URL_LENGTH = 2048;
+
+// Attribution keys as sent by the page script, with the longest value we keep for each.
+const ATTRIBUTION_FIELDS = {
+  utmSource: MAX_PARAM_LENGTH,
+  utmMedium: MAX_PARAM_LENGTH,
+  utmCampaign: MAX_PARAM_LENGTH,
+  utmTerm: MAX_PARAM_LENGTH,
+  utmContent: MAX_PARAM_LENGTH,
+  gclid: MAX_CLICK_ID_LENGTH,
+  fbclid: MAX_CLICK_ID_LENGTH,
+  referrer: MAX_URL_LENGTH,
+  landingPage: MAX_URL_LENGTH,
+};
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+function readLandedAt(value) {
+  const time = typeof value === "string" ? Date.parse(value) : NaN;
+  // Allow a little clock skew, but not landing times in the future.
+  if (Number.isNaN(time) || time > Date.now() + 5 * 60 * 1000) {
+    return "";
+  }
+  return new Date(time).toISOString();
+}
+
+// Attribution never blocks a lead: unknown keys and invalid values are dropped, not rejected.
+function readAttribution(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return null;
+  }
+
+  const attribution = {};
+  for (const [key, maxLength] of Object.entries(ATTRIBUTION_FIELDS)) {
+    const field = typeof value[key] === "string" ? value[key].trim() : "";
+    if (field && field.length <= maxLength && !/[\u0000-\u001f]/.test(field)) {
+      attribution[key] = field;
+    }
+  }
+
+  if (attribution.referrer && !isHttpUrl(attribution.referrer)) {
+    delete attribution.referrer;
+  }
+
+  if (attribution.landingPage && !attribution.landingPage.startsWith("/")) {
+    delete attribution.landingPage;
+  }
+
+  const landedAt = readLandedAt(value.landedAt);
+  if (landedAt) {
+    attribution.landedAt = landedAt;
+  }
+
+  return Object.keys(attribution).length ? attribution : null;
+}
+
+module.exports = {
+  ATTRIBUTION_FIELDS,
+  readAttribution,
+};
@@ -0,0 +1,62 @@
+const crypto = require("node:crypto");
+
+const STAFF_API_TOKEN = (process.env.STAFF_API_TOKEN || "").trim();
+const CRON_SECRET = (process.env.CRON_SECRET || "").trim();
+const ADMIN_USERNAME = (process.env.ADMIN_USERNAME || "").trim();
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+const LINK_SIGNING_SECRET = (process.env.LINK_SIGNING_SECRET || "").trim();
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function getBearerToken(request) {
+  const authorization = request.headers.authorization || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+}
+
+function isStaffRequest(request) {
+  const token = getBearerToken(request);
+  return Boolean(STAFF_API_TOKEN && token) && safeEqual(token, STAFF_API_TOKEN);
+}
+
+function isCronRequest(request) {
+  const token = getBearerToken(request);
+  return Boolean(CRON_SECRET && token) && safeEqual(token, CRON_SECRET);
+}
+
+// Sessions are signed tokens, so the console also needs LINK_SIGNING_SECRET.
+function isAdminConfigured() {
+  return Boolean(ADMIN_USERNAME && ADMIN_PASSWORD && LINK_SIGNING_SECRET);
+}
+
+function checkAdminCredentials(username, password) {
+  if (!isAdminConfigured()) {
+    return false;
+  }
+
+  // Compare both fields every time so a wrong username takes as long as a wrong password.
+  const usernameMatches = safeEqual(username, ADMIN_USERNAME);
+  const passwordMatches = safeEqual(password, ADMIN_PASSWORD);
+  return usernameMatches && passwordMatches;
+}
+
+function getAdminCredentialVersion() {
+  return crypto
+    .createHash("sha256")
+    .update(`${ADMIN_USERNAME}:${ADMIN_PASSWORD}`)
+    .digest("base64url")
+    .slice(0, 16);
+}
+
+module.exports = {
+  checkAdminCredentials,
+  getAdminCredentialVersion,
+  isAdminConfigured,
+  isCronRequest,
+  isStaffRequest,
+  safeEqual,
+};
@@ -0,0 +1,546 @@
+const crypto = require("node:crypto");
+const BOOKING_CONFIG = require("../config/booking.json");
+const { withOriginPolicy } = require("./form-guard");
+const { json, parseRequestBody, readString } = require("./http");
+const { getRequestLocale, translate } = require("./i18n");
+const { checkRateLimit, getRateLimitHeaders } = require("./rate-limit");
+const { readJsonFile, updateJsonFile } = require("./storage");
+
+const BOOKINGS_FILE = "bookings.json";
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_AVAILABILITY_DAYS = 31;
+// Expired holds are kept this long so a visitor who took a while on the form can still
+// confirm the time if nobody else took it meanwhile.
+const EXPIRED_HOLD_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const BOOKING_ERRORS = {
+  invalid: { statusCode: 400, errorKey: "api.error.bookingSlot" },
+  taken: { statusCode: 409, errorKey: "api.error.bookingTaken" },
+  expired: { statusCode: 409, errorKey: "api.error.bookingExpired" },
+};
+
+let bookingConfig;
+
+function toMinutes(value) {
+  const match = TIME_PATTERN.exec(String(value || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isDateOnly(value) {
+  // Round-tripping rejects dates such as 2026-02-30 that Date.parse quietly rolls over.
+  const text = String(value || "");
+  const time = Date.parse(`${text}T00:00:00Z`);
+  return DATE_ONLY_PATTERN.test(text) && !Number.isNaN(time) && addDays(text, 0) === text;
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return Boolean(value);
+  } catch (error) {
+    return false;
+  }
+}
+
+function readMinutes(value, fallback) {
+  return value === undefined ? fallback : Number(value);
+}
+
+function readDates(value) {
+  const dates = Array.isArray(value) ? value.map(String) : [];
+  return { dates: new Set(dates), valid: dates.every(isDateOnly) };
+}
+
+function normalizeBookingConfig(config) {
+  const problems = [];
+  if (!isTimeZone(config.timeZone)) {
+    problems.push("timeZone must be an IANA time zone such as America/New_York");
+  }
+
+  const serviceHours = {};
+  for (const [day, hours] of Object.entries(config.serviceHours || {})) {
+    const open = Array.isArray(hours) ? toMinutes(hours[0]) : null;
+    const close = Array.isArray(hours) ? toMinutes(hours[1]) : null;
+    if (!WEEKDAYS.includes(day) || open === null || close === null || close <= open) {
+      problems.push(`serviceHours.${day} must be ["HH:MM", "HH:MM"] on mon-sun`);
+      continue;
+    }
+    serviceHours[day] = { open, close };
+  }
+
+  const settings = {
+    slotIntervalMinutes: readMinutes(config.slotIntervalMinutes, 60),
+    bufferMinutes: readMinutes(config.bufferMinutes, 0),
+    leadTimeHours: readMinutes(config.leadTimeHours, 0),
+    horizonDays: readMinutes(config.horizonDays, 30),
+    holdMinutes: readMinutes(config.holdMinutes, 15),
+  };
+  for (const [name, value] of Object.entries(settings)) {
+    const positive = name === "slotIntervalMinutes" || name === "holdMinutes";
+    if (!Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+      problems.push(`${name} must be a ${positive ? "positive" : "non-negative"} number`);
+    }
+  }
+
+  const durations = new Map();
+  for (const [serviceType, minutes] of Object.entries(config.durations || {})) {
+    if (!(Number(minutes) > 0)) {
+      problems.push(`durations.${serviceType} must be a number of minutes`);
+      continue;
+    }
+    durations.set(serviceType, Number(minutes));
+  }
+
+  const crews = [];
+  for (const crew of Array.isArray(config.crews) ? config.crews : []) {
+    const id = String((crew && crew.id) || "").trim();
+    const blackout = readDates(crew && crew.blackoutDates);
+    if (!id || crews.some((existing) => existing.id === id) || !blackout.valid) {
+      problems.push(`crew "${id}" needs a unique id and YYYY-MM-DD blackoutDates`);
+      continue;
+    }
+    crews.push({
+      id,
+      name: String(crew.name || id),
+      serviceTypes: Array.isArray(crew.serviceTypes) ? crew.serviceTypes.map(String) : null,
+      blackoutDates: blackout.dates,
+    });
+  }
+  if (!crews.length) {
+    problems.push("crews must list at least one crew");
+  }
+
+  const blackout = readDates(config.blackoutDates);
+  if (!blackout.valid) {
+    problems.push("blackoutDates must be dates such as 2026-12-25");
+  }
+
+  if (problems.length) {
+    return { problems };
+  }
+
+  return {
+    problems,
+    config: {
+      timeZone: config.timeZone,
+      serviceHours,
+      ...settings,
+      durations,
+      crews,
+      blackoutDates: blackout.dates,
+    },
+  };
+}
+
+// A broken config turns online booking off rather than offering times nobody can keep.
+function getBookingConfig() {
+  if (bookingConfig === undefined) {
+    const { problems, config } = normalizeBookingConfig(BOOKING_CONFIG || {});
+    if (problems.length) {
+      console.error("[booking] Online booking is off: %s.", problems.join("; "));
+    }
+    bookingConfig = config || null;
+  }
+  return bookingConfig;
+}
+
+// Minutes the time zone is ahead of UTC at the given instant.
+function getZoneOffset(time, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  for (const part of formatter.formatToParts(new Date(time))) {
+    parts[part.type] = Number(part.value);
+  }
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((wallClock - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+// The instant a business wall-clock time happens, e.g. 08:00 on 2026-11-02 in New York.
+// The offset is checked twice so days when the clocks change come out right.
+function toZonedTime(day, minutes, timeZone) {
+  const [year, month, date] = day.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, date, 0, minutes);
+  const guess = wallClock - getZoneOffset(wallClock, timeZone) * 60000;
+  return wallClock - getZoneOffset(guess, timeZone) * 60000;
+}
+
+function getZonedDay(time, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(time));
+}
+
+function addDays(day, count) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+function getWeekday(day) {
+  return WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+}
+
+function isDayClosed(config, day) {
+  return !config.serviceHours[getWeekday(day)] || config.blackoutDates.has(day);
+}
+
+// Every start time the business offers on a day, before looking at crews or bookings.
+// Jobs have to finish by closing time.
+function listDaySlots(config, day, durationMinutes) {
+  if (isDayClosed(config, day)) {
+    return [];
+  }
+
+  const { open, close } = config.serviceHours[getWeekday(day)];
+  const slots = [];
+  for (let start = open; start + durationMinutes <= close; start += config.slotIntervalMinutes) {
+    slots.push({
+      start: toZonedTime(day, start, config.timeZone),
+      end: toZonedTime(day, start + durationMinutes, config.timeZone),
+    });
+  }
+  return slots;
+}
+
+function getBookingWindow(config, now) {
+  const firstDay = getZonedDay(now, config.timeZone);
+  return {
+    earliestStart: now + config.leadTimeHours * 60 * 60 * 1000,
+    firstDay,
+    lastDay: addDays(firstDay, config.horizonDays),
+  };
+}
+
+function isActiveBooking(booking, now) {
+  if (booking.status === "confirmed") {
+    return true;
+  }
+  return booking.status === "held" && Date.parse(booking.holdExpiresAt) > now;
+}
+
+function pruneBookings(bookings, now) {
+  return bookings.filter(
+    (booking) =>
+      booking.status !== "held" ||
+      Date.parse(booking.holdExpiresAt) + EXPIRED_HOLD_RETENTION_MS > now
+  );
+}
+
+// The buffer keeps travel time free between one crew's jobs.
+function findFreeCrew(config, bookings, { serviceType, start, end }, now, preferredCrewId) {
+  const buffer = config.bufferMinutes * 60000;
+  const day = getZonedDay(start, config.timeZone);
+  const candidates = config.crews.filter(
+    (crew) =>
+      (!crew.serviceTypes || crew.serviceTypes.includes(serviceType)) &&
+      !crew.blackoutDates.has(day)
+  );
+  candidates.sort((a, b) => (b.id === preferredCrewId) - (a.id === preferredCrewId));
+
+  return (
+    candidates.find((crew) =>
+      bookings.every(
+        (booking) =>
+          booking.crewId !== crew.id ||
+          !isActiveBooking(booking, now) ||
+          start >= Date.parse(booking.endsAt) + buffer ||
+          Date.parse(booking.startsAt) >= end + buffer
+      )
+    ) || null
+  );
+}
+
+function toPublicBooking(booking) {
+  return {
+    id: booking.id,
+    status: booking.status,
+    serviceType: booking.serviceType,
+    startsAt: booking.startsAt,
+    endsAt: booking.endsAt,
+    holdExpiresAt: booking.status === "held" ? booking.holdExpiresAt : undefined,
+  };
+}
+
+async function getAvailability({ serviceType, from, days = 1, now = Date.now() }) {
+  const config = getBookingConfig();
+  const durationMinutes = config.durations.get(serviceType);
+  const window = getBookingWindow(config, now);
+  const store = await readJsonFile(BOOKINGS_FILE, { bookings: [] });
+
+  const result = [];
+  let day = from && from > window.firstDay ? from : window.firstDay;
+  for (let index = 0; index < days && day <= window.lastDay; index += 1, day = addDays(day, 1)) {
+    const slots = listDaySlots(config, day, durationMinutes)
+      .filter((slot) => slot.start >= window.earliestStart)
+      .filter((slot) => findFreeCrew(config, store.bookings, { serviceType, ...slot }, now))
+      .map((slot) => ({
+        start: new Date(slot.start).toISOString(),
+        end: new Date(slot.end).toISOString(),
+      }));
+    result.push({ date: day, closed: isDayClosed(config, day) || undefined, slots });
+  }
+
+  return {
+    timeZone: config.timeZone,
+    serviceType,
+    durationMinutes,
+    holdMinutes: config.holdMinutes,
+    firstDay: window.firstDay,
+    lastDay: window.lastDay,
+    days: result,
+  };
+}
+
+// Holds a slot for one crew until the quote form is sent. A visitor picking another time passes
+// their current hold as `replaces` so it is released once the new one is taken.
+function holdSlot({ serviceType, start, replaces = "", now = Date.now() }) {
+  const config = getBookingConfig();
+  const durationMinutes = config.durations.get(serviceType);
+  const startTime = Date.parse(start);
+
+  return updateJsonFile(BOOKINGS_FILE, { bookings: [] }, (store) => {
+    let bookings = pruneBookings(store.bookings, now);
+    const day = Number.isNaN(startTime) ? "" : getZonedDay(startTime, config.timeZone);
+    const window = getBookingWindow(config, now);
+    const slot =
+      day >= window.firstDay && day <= window.lastDay && startTime >= window.earliestStart
+        ? listDaySlots(config, day, durationMinutes).find((entry) => entry.start === startTime)
+        : null;
+    if (!slot) {
+      return { value: { bookings }, result: { ok: false, reason: "invalid" } };
+    }
+
+    const others = bookings.filter(
+      (booking) => !(booking.id === replaces && booking.status === "held")
+    );
+    const crew = findFreeCrew(config, others, { serviceType, ...slot }, now);
+    if (!crew) {
+      return { value: { bookings }, result: { ok: false, reason: "taken" } };
+    }
+
+    const booking = {
+      id: crypto.randomUUID(),
+      status: "held",
+      crewId: crew.id,
+      serviceType,
+      startsAt: new Date(slot.start).toISOString(),
+      endsAt: new Date(slot.end).toISOString(),
+      holdExpiresAt: new Date(now + config.holdMinutes * 60000).toISOString(),
+      createdAt: new Date(now).toISOString(),
+    };
+    bookings = others.concat(booking);
+    return { value: { bookings }, result: { ok: true, booking } };
+  });
+}
+
+// Turns a hold into a booking when the quote form is sent. A hold that ran out is taken again
+// if a crew is still free at that time.
+function confirmBooking(id, { serviceType, email, name, now = Date.now() }) {
+  const config = getBookingConfig();
+
+  return updateJsonFile(BOOKINGS_FILE, { bookings: [] }, (store) => {
+    const bookings = pruneBookings(store.bookings, now);
+    const booking = bookings.find((entry) => entry.id === id);
+    const normalizedEmail = String(email || "").toLowerCase();
+
+    if (booking && booking.status === "confirmed" && booking.email === normalizedEmail) {
+      return { value: { bookings }, result: { ok: true, booking } };
+    }
+    if (!config || !booking || booking.status !== "held") {
+      return { value: { bookings }, result: { ok: false, reason: "expired" } };
+    }
+    if (booking.serviceType !== serviceType) {
+      return { value: { bookings }, result: { ok: false, reason: "invalid" } };
+    }
+
+    if (!isActiveBooking(booking, now)) {
+      const others = bookings.filter((entry) => entry !== booking);
+      const slot = {
+        serviceType,
+        start: Date.parse(booking.startsAt),
+        end: Date.parse(booking.endsAt),
+      };
+      const crew = findFreeCrew(config, others, slot, now, booking.crewId);
+      if (!crew) {
+        return { value: { bookings }, result: { ok: false, reason: "taken" } };
+      }
+      booking.crewId = crew.id;
+    }
+
+    booking.status = "confirmed";
+    booking.email = normalizedEmail;
+    booking.name = name;
+    booking.confirmedAt = new Date(now).toISOString();
+    delete booking.holdExpiresAt;
+    return { value: { bookings }, result: { ok: true, booking } };
+  });
+}
+
+function cancelBooking(id, now = Date.now()) {
+  return updateJsonFile(BOOKINGS_FILE, { bookings: [] }, (store) => {
+    const bookings = pruneBookings(store.bookings, now);
+    const booking = bookings.find((entry) => entry.id === id && entry.status !== "cancelled");
+    if (booking) {
+      booking.status = "cancelled";
+      booking.cancelledAt = new Date(now).toISOString();
+    }
+    return { value: { bookings }, result: booking || null };
+  });
+}
+
+async function listBookings({ from = "", to = "", now = Date.now() } = {}) {
+  const config = getBookingConfig();
+  const timeZone = config ? config.timeZone : "UTC";
+  const store = await readJsonFile(BOOKINGS_FILE, { bookings: [] });
+
+  return store.bookings
+    .filter((booking) => booking.status !== "held" || isActiveBooking(booking, now))
+    .filter((booking) => {
+      const day = getZonedDay(Date.parse(booking.startsAt), timeZone);
+      return (!from || day >= from) && (!to || day <= to);
+    })
+    .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt));
+}
+
+function bookingError(reason, locale) {
+  const error = BOOKING_ERRORS[reason] || BOOKING_ERRORS.invalid;
+  return json(error.statusCode, {
+    ok: false,
+    reason,
+    error: translate(locale, error.errorKey),
+    field: "data",
+  });
+}
+
+// Checks the parts of a booking request both endpoints share, returning an error response
+// or null when online booking can handle the service type.
+function checkBookable(serviceType, locale) {
+  const config = getBookingConfig();
+  if (!config) {
+    return json(503, { ok: false, error: translate(locale, "api.error.bookingUnavailable") });
+  }
+
+  if (!config.durations.has(serviceType)) {
+    return json(400, {
+      ok: false,
+      error: translate(locale, "api.error.bookingServiceType"),
+      field: "tipo",
+    });
+  }
+
+  return null;
+}
+
+async function handleAvailability(request) {
+  if (request.method !== "GET") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET" });
+  }
+
+  const locale = getRequestLocale(request, request.query.get("locale"));
+  const serviceType = String(request.query.get("tipo") || "").trim();
+  const unbookable = checkBookable(serviceType, locale);
+  if (unbookable) {
+    return unbookable;
+  }
+
+  const from = String(request.query.get("from") || "").trim();
+  if (from && !isDateOnly(from)) {
+    const error = translate(locale, "api.error.bookingDate");
+    return json(400, { ok: false, error, field: "data" });
+  }
+
+  const days = Math.min(
+    MAX_AVAILABILITY_DAYS,
+    Math.max(1, Math.floor(Number(request.query.get("days")) || 1))
+  );
+  const availability = await getAvailability({ serviceType, from, days });
+  return json(200, { ok: true, ...availability });
+}
+
+async function handleBookings(request) {
+  if (request.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+  }
+
+  let locale = getRequestLocale(request);
+  const limit = await checkRateLimit("hold", "bookings", request.ip || "unknown");
+  if (limit.limited) {
+    return json(
+      429,
+      { ok: false, error: translate(locale, "api.error.tooManyRequests") },
+      getRateLimitHeaders(limit)
+    );
+  }
+
+  const body = parseRequestBody(request, locale);
+  if (!body.ok) {
+    return body.response;
+  }
+
+  const parsed = body.value;
+  locale = getRequestLocale(request, readString(parsed, "locale"));
+  const serviceType = readString(parsed, "tipo");
+  const unbookable = checkBookable(serviceType, locale);
+  if (unbookable) {
+    return unbookable;
+  }
+
+  let hold;
+  try {
+    hold = await holdSlot({
+      serviceType,
+      start: readString(parsed, "start"),
+      replaces: readString(parsed, "replaces"),
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[booking] Unable to hold slot: %s", message);
+    return json(500, { ok: false, error: translate(locale, "api.error.bookingFailed") });
+  }
+
+  if (!hold.ok) {
+    return bookingError(hold.reason, locale);
+  }
+
+  console.log(
+    "[booking] Held %s for %s at %s (%s).",
+    hold.booking.id,
+    hold.booking.crewId,
+    hold.booking.startsAt,
+    serviceType
+  );
+  return json(201, { ok: true, booking: toPublicBooking(hold.booking) });
+}
+
+module.exports = {
+  BOOKING_ERRORS,
+  cancelBooking,
+  confirmBooking,
+  getAvailability,
+  getBookingConfig,
+  handleAvailability,
+  handleBookings: withOriginPolicy(handleBookings),
+  holdSlot,
+  listBookings,
+};
@@ -0,0 +1,404 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const SOURCE_DIR = process.cwd();
+const DEFAULT_OUT_DIR = "dist";
+const HASH_LENGTH = 10;
+
+// Everything a visitor may fetch. Server code, config, data and docs never leave the repo.
+const PAGES = [
+  { file: "index.html", bundle: "site" },
+  { file: "promo-email/index.html", bundle: "promo" },
+  { file: "promo-email/unsubscribe/index.html", bundle: "unsubscribe" },
+  { file: "admin/index.html", bundle: "admin" },
+];
+const PUBLIC_DIRS = ["assets", "locales"];
+
+const ASSET_REFERENCE_PATTERN = /(?:\.\.\/|\/)?assets\/([A-Za-z0-9._-]+)/g;
+const INLINE_STYLE_PATTERN = /<style>([\s\S]*?)<\/style>\s*/g;
+// Only plain inline scripts move out; typed ones such as JSON-LD stay in the page.
+const INLINE_SCRIPT_PATTERN = /<script>([\s\S]*?)<\/script>/g;
+const VERBATIM_HTML_PATTERN = /(<(pre|textarea)\b[\s\S]*?<\/\2>)/i;
+
+const CSS_TIGHT_BEFORE = new Set(["{", "}", ";", ",", ">", ")", "!"]);
+const CSS_TIGHT_AFTER = new Set(["{", "}", ";", ",", ">", ":", "("]);
+const JS_TIGHT = new Set([..."{}()[];,:=<>?!&|*%^~"]);
+const JS_NEWLINE_TIGHT_AFTER = new Set([..."{([;,=:?&|!*%^~<>"]);
+const JS_NEWLINE_TIGHT_BEFORE = new Set([..."})];,.:?&|"]);
+const JS_REGEX_AFTER = new Set([..."(,=:[!&|?{};+-*%<>~^"]);
+const JS_REGEX_KEYWORDS = new Set([
+  "return",
+  "typeof",
+  "case",
+  "do",
+  "else",
+  "in",
+  "of",
+  "new",
+  "delete",
+  "void",
+  "throw",
+  "instanceof",
+  "yield",
+  "await",
+]);
+
+function isPublicPath(relativePath) {
+  const normalized = relativePath.split(path.sep).join("/").replace(/^\/+/, "");
+  return (
+    PAGES.some((page) => page.file === normalized) ||
+    PUBLIC_DIRS.some((dir) => normalized.startsWith(`${dir}/`))
+  );
+}
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex").slice(0, HASH_LENGTH);
+}
+
+function fingerprint(fileName, content) {
+  const extension = path.extname(fileName);
+  return `${path.basename(fileName, extension)}.${hashContent(content)}${extension}`;
+}
+
+function readQuoted(source, start) {
+  const quote = source[start];
+  let index = start + 1;
+  while (index < source.length && source[index] !== quote) {
+    index += source[index] === "\\" ? 2 : 1;
+  }
+  return source.slice(start, index + 1);
+}
+
+// Drops comments and collapses whitespace; strings are copied untouched.
+function minifyCss(source) {
+  let output = "";
+  let pendingSpace = false;
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === "/" && source[index + 1] === "*") {
+      const end = source.indexOf("*/", index + 2);
+      index = end === -1 ? source.length : end + 2;
+      pendingSpace = true;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      pendingSpace = true;
+      index += 1;
+      continue;
+    }
+
+    const last = output[output.length - 1];
+    if (pendingSpace && output && !CSS_TIGHT_AFTER.has(last) && !CSS_TIGHT_BEFORE.has(char)) {
+      output += " ";
+    }
+    pendingSpace = false;
+
+    if (char === '"' || char === "'") {
+      const quoted = readQuoted(source, index);
+      output += quoted;
+      index += quoted.length;
+      continue;
+    }
+
+    if (char === "}" && last === ";") {
+      output = output.slice(0, -1);
+    }
+    output += char;
+    index += 1;
+  }
+
+  return output.trim();
+}
+
+function isRegexStart(output) {
+  const trimmed = output.trimEnd();
+  if (!trimmed) {
+    return true;
+  }
+
+  const last = trimmed[trimmed.length - 1];
+  if (JS_REGEX_AFTER.has(last)) {
+    return true;
+  }
+  const word = /[A-Za-z_$][\w$]*$/.exec(trimmed);
+  return Boolean(word) && JS_REGEX_KEYWORDS.has(word[0]);
+}
+
+function readRegex(source, start) {
+  let index = start + 1;
+  let inClass = false;
+  while (index < source.length) {
+    const char = source[index];
+    if (char === "\\") {
+      index += 2;
+      continue;
+    }
+    if (char === "\n") {
+      return null;
+    }
+    if (char === "[") {
+      inClass = true;
+    } else if (char === "]") {
+      inClass = false;
+    } else if (char === "/" && !inClass) {
+      break;
+    }
+    index += 1;
+  }
+
+  const flags = /^[a-z]*/.exec(source.slice(index + 1))[0];
+  return source.slice(start, index + 1 + flags.length);
+}
+
+// A conservative minifier for the site's hand-written scripts: it removes comments and
+// indentation but keeps the line breaks automatic semicolon insertion may depend on.
+function minifyJs(source) {
+  let output = "";
+  let pending = "";
+  // Each open template literal records the brace depth its `${` started at.
+  const templates = [];
+  let depth = 0;
+  let index = 0;
+
+  const flushWhitespace = (next) => {
+    const last = output[output.length - 1];
+    if (pending === "\n") {
+      if (!JS_NEWLINE_TIGHT_AFTER.has(last) && !JS_NEWLINE_TIGHT_BEFORE.has(next)) {
+        output += "\n";
+      }
+    } else if (pending && !JS_TIGHT.has(last) && !JS_TIGHT.has(next)) {
+      output += " ";
+    }
+    pending = "";
+  };
+
+  const readTemplate = (start) => {
+    let cursor = start;
+    while (cursor < source.length) {
+      const char = source[cursor];
+      if (char === "\\") {
+        cursor += 2;
+      } else if (char === "`") {
+        return { text: source.slice(start, cursor + 1), opensExpression: false };
+      } else if (char === "$" && source[cursor + 1] === "{") {
+        return { text: source.slice(start, cursor + 2), opensExpression: true };
+      } else {
+        cursor += 1;
+      }
+    }
+    return { text: source.slice(start), opensExpression: false };
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const next = source[index + 1];
+
+    if (char === "/" && next === "/") {
+      const end = source.indexOf("\n", index);
+      index = end === -1 ? source.length : end;
+      continue;
+    }
+
+    if (char === "/" && next === "*") {
+      const end = source.indexOf("*/", index + 2);
+      const comment = source.slice(index, end === -1 ? source.length : end + 2);
+      pending = comment.includes("\n") || pending === "\n" ? "\n" : pending || " ";
+      index += comment.length;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      pending = char === "\n" || pending === "\n" ? "\n" : pending || " ";
+      index += 1;
+      continue;
+    }
+
+    if (output) {
+      flushWhitespace(char);
+    }
+    pending = "";
+
+    if (char === '"' || char === "'") {
+      const quoted = readQuoted(source, index);
+      output += quoted;
+      index += quoted.length;
+    } else if (char === "`" || (char === "}" && templates[templates.length - 1] === depth)) {
+      if (char === "}") {
+        templates.pop();
+      }
+      const template = readTemplate(index + 1);
+      output += char + template.text;
+      index += 1 + template.text.length;
+      if (template.opensExpression) {
+        templates.push(depth);
+      }
+    } else if (char === "/" && isRegexStart(output) && readRegex(source, index)) {
+      const regex = readRegex(source, index);
+      output += regex;
+      index += regex.length;
+    } else {
+      if (char === "{") {
+        depth += 1;
+      } else if (char === "}") {
+        depth -= 1;
+      }
+      output += char;
+      index += 1;
+    }
+  }
+
+  return output.trim();
+}
+
+// Falls back to the original script if the minified copy no longer compiles.
+function minifyScript(source, label) {
+  const minified = minifyJs(source);
+  try {
+    new vm.Script(minified);
+    return minified;
+  } catch (error) {
+    console.warn("[build] Shipping %s unminified: %s", label, error.message);
+    return source.trim();
+  }
+}
+
+// Indentation and comments go; whitespace inside <pre> and <textarea> is content, so it stays.
+function minifyHtml(html) {
+  return html
+    .split(VERBATIM_HTML_PATTERN)
+    .map((part, index) => {
+      if (index % 3 === 1) {
+        return part;
+      }
+      if (index % 3 === 2) {
+        return "";
+      }
+      return part
+        .replace(/<!--(?!\[if)[\s\S]*?-->/g, "")
+        .replace(/^\s+/gm, "")
+        .replace(/\n{2,}/g, "\n");
+    })
+    .join("");
+}
+
+function rewriteAssetReferences(text, manifest) {
+  return text.replace(ASSET_REFERENCE_PATTERN, (match, name) =>
+    manifest.has(name) ? `/assets/${manifest.get(name)}` : match
+  );
+}
+
+async function writeOutput(outDir, relativePath, content) {
+  const target = path.join(outDir, relativePath);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, content);
+  return Buffer.byteLength(content);
+}
+
+async function buildAssets(outDir, manifest, stats) {
+  const names = (await fs.readdir(path.join(SOURCE_DIR, "assets"))).sort();
+  const files = await Promise.all(
+    names.map(async (name) => ({
+      name,
+      content: await fs.readFile(path.join(SOURCE_DIR, "assets", name)),
+    }))
+  );
+
+  // Binary files first, so scripts and stylesheets can point at their fingerprinted names.
+  const binary = files.filter((file) => ![".js", ".css"].includes(path.extname(file.name)));
+  const text = files.filter((file) => [".js", ".css"].includes(path.extname(file.name)));
+  for (const file of binary) {
+    manifest.set(file.name, fingerprint(file.name, file.content));
+  }
+  for (const file of text) {
+    const source = rewriteAssetReferences(file.content.toString("utf8"), manifest);
+    file.content =
+      path.extname(file.name) === ".js"
+        ? minifyScript(source, `assets/${file.name}`)
+        : minifyCss(source);
+    manifest.set(file.name, fingerprint(file.name, file.content));
+  }
+
+  for (const file of files) {
+    stats.bytes += await writeOutput(outDir, `assets/${manifest.get(file.name)}`, file.content);
+    stats.assets += 1;
+  }
+}
+
+async function buildLocales(outDir, stats) {
+  const names = (await fs.readdir(path.join(SOURCE_DIR, "locales"))).sort();
+  for (const name of names.filter((entry) => entry.endsWith(".json"))) {
+    const catalog = JSON.parse(await fs.readFile(path.join(SOURCE_DIR, "locales", name), "utf8"));
+    // i18n.js builds these URLs at runtime, so the catalogs keep their names.
+    stats.bytes += await writeOutput(outDir, `locales/${name}`, JSON.stringify(catalog));
+  }
+}
+
+async function writeBundle(outDir, manifest, stats, name, content) {
+  const fileName = fingerprint(name, content);
+  manifest.set(name, fileName);
+  stats.bytes += await writeOutput(outDir, `assets/${fileName}`, content);
+  stats.assets += 1;
+  return `/assets/${fileName}`;
+}
+
+async function buildPage(outDir, manifest, stats, page) {
+  let html = await fs.readFile(path.join(SOURCE_DIR, page.file), "utf8");
+
+  const styles = [];
+  html = html.replace(INLINE_STYLE_PATTERN, (match, css) => {
+    styles.push(css);
+    return styles.length === 1 ? "<!--build:styles-->" : "";
+  });
+  if (styles.length) {
+    const css = minifyCss(rewriteAssetReferences(styles.join("\n"), manifest));
+    const href = await writeBundle(outDir, manifest, stats, `${page.bundle}.css`, css);
+    html = html.replace("<!--build:styles-->", `<link rel="stylesheet" href="${href}" />\n`);
+  }
+
+  const scripts = [];
+  html = html.replace(INLINE_SCRIPT_PATTERN, (match, js) => {
+    scripts.push(js);
+    return `<!--build:script-${scripts.length - 1}-->`;
+  });
+  for (const [index, js] of scripts.entries()) {
+    const name = scripts.length === 1 ? page.bundle : `${page.bundle}-${index + 1}`;
+    const source = rewriteAssetReferences(js, manifest);
+    const content = minifyScript(source, `${page.file} script ${index + 1}`);
+    const src = await writeBundle(outDir, manifest, stats, `${name}.js`, content);
+    html = html.replace(`<!--build:script-${index}-->`, `<script src="${src}"></script>`);
+  }
+
+  html = minifyHtml(rewriteAssetReferences(html, manifest));
+  stats.bytes += await writeOutput(outDir, page.file, html);
+  stats.pages += 1;
+}
+
+async function buildSite(options = {}) {
+  const outDir = path.resolve(SOURCE_DIR, options.outDir || DEFAULT_OUT_DIR);
+  if (!outDir.startsWith(`${SOURCE_DIR}${path.sep}`)) {
+    throw new Error(`The build output must be a folder inside ${SOURCE_DIR}.`);
+  }
+
+  await fs.rm(outDir, { recursive: true, force: true });
+  const manifest = new Map();
+  const stats = { pages: 0, assets: 0, bytes: 0, outDir: path.relative(SOURCE_DIR, outDir) };
+  await buildAssets(outDir, manifest, stats);
+  await buildLocales(outDir, stats);
+  for (const page of PAGES) {
+    await buildPage(outDir, manifest, stats, page);
+  }
+  return stats;
+}
+
+module.exports = {
+  PAGES,
+  buildSite,
+  isPublicPath,
+  minifyCss,
+  minifyJs,
+};
@@ -0,0 +1,218 @@
+const CAMPAIGN_CONFIG = require("../config/campaigns.json");
+const { DEFAULT_COUPON_POLICY } = require("./coupons");
+const { json } = require("./http");
+const { DEFAULT_LOCALE, getRequestLocale, matchLocale, translate } = require("./i18n");
+
+const CAMPAIGN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const COUPON_PREFIX_PATTERN = /^[A-Z0-9]{2,16}$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COPY_FIELDS = ["pill", "headline", "subtitle", "buttonLabel"];
+
+const CLOSED_RESPONSES = {
+  not_found: { statusCode: 404, errorKey: "api.error.campaignNotFound" },
+  upcoming: { statusCode: 404, errorKey: "api.error.campaignUpcoming" },
+  ended: { statusCode: 410, errorKey: "api.error.campaignEnded" },
+};
+
+let campaigns = null;
+
+function toTime(value, endOfDay) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  // Bare dates are whole UTC days: a campaign ending "2024-05-31" is open all of that day.
+  const text = String(value);
+  if (DATE_ONLY_PATTERN.test(text)) {
+    return Date.parse(`${text}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`);
+  }
+  return Date.parse(text);
+}
+
+function readCopy(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function readCampaignCopy(config) {
+  const copy = {
+    success: {
+      title: readCopy(config.success && config.success.title),
+      message: readCopy(config.success && config.success.message),
+    },
+  };
+  for (const field of COPY_FIELDS) {
+    copy[field] = readCopy(config[field]);
+  }
+  return copy;
+}
+
+function normalizeCampaign(id, config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return { problems: ["must be an object"] };
+  }
+
+  const problems = [];
+  if (!CAMPAIGN_ID_PATTERN.test(id)) {
+    problems.push("the id must use lowercase letters, digits and dashes");
+  }
+
+  if (!readCopy(config.headline)) {
+    problems.push("headline is required");
+  }
+
+  const coupon = config.coupon || {};
+  const prefix = String(coupon.prefix || "")
+    .trim()
+    .toUpperCase();
+  if (!COUPON_PREFIX_PATTERN.test(prefix)) {
+    problems.push("coupon.prefix must be 2-16 letters or digits");
+  }
+
+  const discountPercent = Number(coupon.discountPercent);
+  if (!(discountPercent > 0 && discountPercent <= 100)) {
+    problems.push("coupon.discountPercent must be between 1 and 100");
+  }
+
+  const validDays =
+    coupon.validDays === undefined ? DEFAULT_COUPON_POLICY.validDays : Number(coupon.validDays);
+  if (!(validDays >= 0)) {
+    problems.push("coupon.validDays must be 0 (never expires) or more");
+  }
+
+  const startsAt = toTime(config.startsAt, false);
+  const endsAt = toTime(config.endsAt, true);
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+    problems.push("startsAt and endsAt must be dates such as 2024-05-31");
+  } else if (startsAt !== null && endsAt !== null && endsAt < startsAt) {
+    problems.push("endsAt is before startsAt");
+  }
+
+  const translations = {};
+  for (const [tag, copy] of Object.entries(config.translations || {})) {
+    const locale = matchLocale(tag);
+    if (!locale || !copy || typeof copy !== "object") {
+      problems.push(`translations.${tag} must be copy for en, pt-BR or es`);
+      continue;
+    }
+    translations[locale] = readCampaignCopy(copy);
+  }
+
+  if (problems.length) {
+    return { problems };
+  }
+
+  const campaign = {
+    id,
+    startsAt: startsAt === null ? null : new Date(startsAt).toISOString(),
+    endsAt: endsAt === null ? null : new Date(endsAt).toISOString(),
+    coupon: { prefix, discountPercent, validDays },
+    ...readCampaignCopy(config),
+    translations,
+  };
+
+  return { problems, campaign };
+}
+
+function loadCampaigns() {
+  if (campaigns) {
+    return campaigns;
+  }
+
+  campaigns = new Map();
+  for (const [id, config] of Object.entries(CAMPAIGN_CONFIG.campaigns || {})) {
+    const { problems, campaign } = normalizeCampaign(id, config);
+    if (problems.length) {
+      console.error("[campaigns] Ignoring campaign \"%s\": %s.", id, problems.join("; "));
+      continue;
+    }
+    campaigns.set(id, campaign);
+  }
+
+  return campaigns;
+}
+
+function getCampaign(id) {
+  return loadCampaigns().get(String(id || "").trim()) || null;
+}
+
+function listCampaigns() {
+  return Array.from(loadCampaigns().values());
+}
+
+function getCampaignState(campaign, now = Date.now()) {
+  if (!campaign) {
+    return "not_found";
+  }
+
+  if (campaign.startsAt && now < Date.parse(campaign.startsAt)) {
+    return "upcoming";
+  }
+
+  if (campaign.endsAt && now > Date.parse(campaign.endsAt)) {
+    return "ended";
+  }
+
+  return "open";
+}
+
+// Leads without a campaign, or whose campaign was since removed from the config, get the default.
+function getCampaignCouponPolicy(id) {
+  const campaign = id ? getCampaign(id) : null;
+  return campaign ? campaign.coupon : DEFAULT_COUPON_POLICY;
+}
+
+function closedCampaignResponse(campaign, state, locale = DEFAULT_LOCALE) {
+  const closed = CLOSED_RESPONSES[state] || CLOSED_RESPONSES.not_found;
+  return json(closed.statusCode, {
+    ok: false,
+    state,
+    error: translate(locale, closed.errorKey),
+    startsAt: state === "upcoming" ? campaign.startsAt : undefined,
+  });
+}
+
+// Translated copy falls back field by field to the campaign's own copy.
+function toPublicCampaign(campaign, locale) {
+  const translated = campaign.translations[locale] || { success: {} };
+  const copy = {};
+  for (const field of COPY_FIELDS) {
+    copy[field] = translated[field] || campaign[field];
+  }
+
+  return {
+    id: campaign.id,
+    locale,
+    ...copy,
+    discountPercent: campaign.coupon.discountPercent,
+    startsAt: campaign.startsAt,
+    endsAt: campaign.endsAt,
+    success: {
+      title: translated.success.title || campaign.success.title,
+      message: translated.success.message || campaign.success.message,
+    },
+  };
+}
+
+async function handleCampaign(request) {
+  if (request.method !== "GET") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET" });
+  }
+
+  const locale = getRequestLocale(request, request.query.get("locale"));
+  const campaign = getCampaign(request.query.get("id"));
+  const state = getCampaignState(campaign);
+  if (state !== "open") {
+    return closedCampaignResponse(campaign, state, locale);
+  }
+
+  return json(200, { ok: true, state, campaign: toPublicCampaign(campaign, locale) });
+}
+
+module.exports = {
+  closedCampaignResponse,
+  getCampaign,
+  getCampaignCouponPolicy,
+  getCampaignState,
+  handleCampaign,
+  listCampaigns,
+};
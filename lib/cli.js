@@ -0,0 +1,376 @@
+const fs = require("node:fs/promises");
+const { cancelBooking, listBookings } = require("./booking");
+const { buildSite } = require("./build");
+const { getCampaignState, listCampaigns } = require("./campaigns");
+const { buildLeadExport, readExportFilters } = require("./lead-export");
+const { listDeadLetters, listOutbox, replayDeadLetters } = require("./outbox");
+const { processOutbox } = require("./sinks");
+const { syncHeaderConfigs } = require("./security-headers");
+const { listSuppressions, removeSuppression } = require("./suppression");
+const { unsubscribeEmail } = require("./unsubscribe");
+const {
+  getWebhookSkipReason,
+  listSubscriptions,
+  listWebhookDeliveries,
+  pingWebhooks,
+} = require("./webhooks");
+
+const USAGE = `Usage:
+  node server.js                       Start the preview server
+  node server.js build [--out <dir>]   Build the public site into dist/ (or <dir>) for deployment
+  node server.js headers [--check]     Write the security headers into netlify.toml and vercel.json
+                                       (--check only reports whether they are up to date)
+  node server.js outbox status         Show queued and dead-lettered CRM syncs
+  node server.js outbox process        Retry every queued sync that is due now
+  node server.js outbox replay [--id <id>] [--sink <name>] [--email <email>]
+                                       Move dead-lettered syncs back to the outbox and retry them
+  node server.js campaigns list       Show configured promo campaigns and whether they are open
+  node server.js leads export [--format csv|json] [--from <date>] [--to <date>]
+                              [--source <source>] [--campaign <id>] [--out <file>]
+                                       Export lead submissions (to stdout unless --out is set)
+  node server.js bookings list [--from <date>] [--to <date>]
+                                       Show booked and currently held cleaning slots
+  node server.js bookings cancel --id <id>
+                                       Cancel a booking and free its slot
+  node server.js suppression list      Show unsubscribed addresses
+  node server.js suppression add --email <email>
+                                       Unsubscribe an address and opt it out in the CRMs
+  node server.js suppression remove --email <email>
+                                       Take an address off the suppression list
+  node server.js webhooks list         Show webhook subscriptions and their events
+  node server.js webhooks ping [--id <subscription>]
+                                       Send a signed test event to every (or one) subscription
+  node server.js webhooks log [--id <subscription>] [--event <type>] [--status <status>]
+                              [--email <email>] [--limit <n>]
+                                       Show recent webhook deliveries, newest first`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg.startsWith("--")) {
+      const [key, inlineValue] = arg.slice(2).split("=", 2);
+      if (inlineValue !== undefined) {
+        flags[key] = inlineValue;
+      } else if (argv[index + 1] && !argv[index + 1].startsWith("--")) {
+        flags[key] = argv[index + 1];
+        index += 1;
+      } else {
+        flags[key] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+}
+
+async function build(flags) {
+  const stats = await buildSite({ outDir: typeof flags.out === "string" ? flags.out : "" });
+  console.log(
+    "Built %d page(s) and %d asset(s) into %s (%s KB).",
+    stats.pages,
+    stats.assets,
+    stats.outDir,
+    Math.round(stats.bytes / 1024)
+  );
+
+  const stale = await syncHeaderConfigs({ check: true });
+  if (stale.length) {
+    console.warn(
+      "Security headers in %s are out of date; run `node server.js headers`.",
+      stale.join(" and ")
+    );
+  }
+  return 0;
+}
+
+async function headers(flags) {
+  const check = Boolean(flags.check);
+  const stale = await syncHeaderConfigs({ check });
+  if (!stale.length) {
+    console.log("netlify.toml and vercel.json match the security headers policy.");
+    return 0;
+  }
+
+  console.log(
+    check ? "Out of date: %s. Run `node server.js headers`." : "Updated %s.",
+    stale.join(" and ")
+  );
+  return check ? 1 : 0;
+}
+
+async function outboxStatus() {
+  const [queued, deadLetters] = await Promise.all([listOutbox(), listDeadLetters()]);
+  console.log("Outbox: %d queued, %d dead-lettered.", queued.length, deadLetters.length);
+
+  for (const entry of queued) {
+    console.log(
+      "  queued       %s  %s  %s  attempts=%d  next=%s  %s",
+      entry.id,
+      entry.sink,
+      entry.lead.email,
+      entry.attempts,
+      entry.nextAttemptAt,
+      entry.lastError || ""
+    );
+  }
+
+  for (const entry of deadLetters) {
+    console.log(
+      "  dead-letter  %s  %s  %s  attempts=%d  at=%s  %s",
+      entry.id,
+      entry.sink,
+      entry.lead.email,
+      entry.attempts,
+      entry.deadLetteredAt,
+      entry.lastError || ""
+    );
+  }
+
+  return 0;
+}
+
+async function outboxProcess() {
+  const summary = await processOutbox();
+  console.log(
+    "Outbox run: %d delivered, %d rescheduled, %d dead-lettered.",
+    summary.delivered,
+    summary.rescheduled,
+    summary.deadLettered
+  );
+  return 0;
+}
+
+async function outboxReplay(flags) {
+  const replayed = await replayDeadLetters({
+    id: typeof flags.id === "string" ? flags.id : "",
+    sink: typeof flags.sink === "string" ? flags.sink : "",
+    email: typeof flags.email === "string" ? flags.email : "",
+  });
+  console.log("Moved %d dead-lettered sync(s) back to the outbox.", replayed.length);
+  return replayed.length ? outboxProcess() : 0;
+}
+
+async function campaignsList() {
+  const campaigns = listCampaigns();
+  console.log("Campaigns: %d configured.", campaigns.length);
+  for (const campaign of campaigns) {
+    console.log(
+      "  %s  %s  %s -> %s  %s-  %d%% off  /promo/%s/",
+      campaign.id,
+      getCampaignState(campaign).padEnd(8),
+      campaign.startsAt || "always",
+      campaign.endsAt || "no end",
+      campaign.coupon.prefix,
+      campaign.coupon.discountPercent,
+      campaign.id
+    );
+  }
+  return 0;
+}
+
+async function leadsExport(flags) {
+  const values = {};
+  for (const key of ["format", "from", "to", "source", "campaign"]) {
+    if (typeof flags[key] === "string") {
+      values[key] = flags[key];
+    }
+  }
+
+  const parsed = readExportFilters(values);
+  if (parsed.error) {
+    console.error(parsed.error);
+    return 1;
+  }
+
+  const result = await buildLeadExport(parsed.filters, parsed.format);
+  if (typeof flags.out !== "string") {
+    process.stdout.write(result.body);
+    return 0;
+  }
+
+  await fs.writeFile(flags.out, result.body, "utf8");
+  console.log("Exported %d lead submission(s) to %s.", result.count, flags.out);
+  return 0;
+}
+
+async function bookingsList(flags) {
+  const bookings = await listBookings({
+    from: typeof flags.from === "string" ? flags.from : "",
+    to: typeof flags.to === "string" ? flags.to : "",
+  });
+  console.log("Bookings: %d booked or held.", bookings.length);
+  for (const booking of bookings) {
+    console.log(
+      "  %s  %s  %s -> %s  %s  %s  %s",
+      booking.id,
+      booking.status.padEnd(9),
+      booking.startsAt,
+      booking.endsAt,
+      booking.crewId,
+      booking.serviceType,
+      booking.email || ""
+    );
+  }
+  return 0;
+}
+
+async function bookingsCancel(flags) {
+  if (typeof flags.id !== "string" || !flags.id.trim()) {
+    console.error("bookings cancel needs --id <id>.");
+    return 1;
+  }
+
+  const cancelled = await cancelBooking(flags.id.trim());
+  console.log(
+    cancelled ? "Cancelled booking %s." : "No open booking with id %s.",
+    flags.id.trim()
+  );
+  return cancelled ? 0 : 1;
+}
+
+async function suppressionList() {
+  const suppressions = await listSuppressions();
+  console.log("Suppression list: %d address(es).", suppressions.length);
+  for (const entry of suppressions) {
+    console.log("  %s  %s  %s  %s", entry.email, entry.at, entry.reason, entry.source || "");
+  }
+  return 0;
+}
+
+async function suppressionAdd(flags) {
+  if (typeof flags.email !== "string" || !flags.email.trim()) {
+    console.error("suppression add needs --email <email>.");
+    return 1;
+  }
+
+  const { created } = await unsubscribeEmail(flags.email.trim().toLowerCase(), "cli");
+  console.log(created ? "Unsubscribed %s." : "%s was already unsubscribed.", flags.email.trim());
+  return 0;
+}
+
+async function suppressionRemove(flags) {
+  if (typeof flags.email !== "string" || !flags.email.trim()) {
+    console.error("suppression remove needs --email <email>.");
+    return 1;
+  }
+
+  const removed = await removeSuppression(flags.email);
+  console.log(
+    removed ? "Removed %s from the suppression list." : "%s is not on the suppression list.",
+    flags.email.trim()
+  );
+  return 0;
+}
+
+function readWebhookSetup() {
+  const skipReason = getWebhookSkipReason();
+  if (skipReason) {
+    console.error("Webhooks are off: %s.", skipReason);
+  }
+  return !skipReason;
+}
+
+async function webhooksList() {
+  if (!readWebhookSetup()) {
+    return 1;
+  }
+
+  const subscriptions = listSubscriptions();
+  console.log("Webhooks: %d subscription(s).", subscriptions.length);
+  for (const subscription of subscriptions) {
+    console.log("  %s  %s  %s", subscription.id, subscription.events.join(","), subscription.url);
+  }
+  return 0;
+}
+
+async function webhooksPing(flags) {
+  if (!readWebhookSetup()) {
+    return 1;
+  }
+
+  const id = typeof flags.id === "string" ? flags.id : "";
+  const results = await pingWebhooks(id);
+  if (!results.length) {
+    console.error("No webhook subscription with id %s.", id);
+    return 1;
+  }
+
+  for (const result of results) {
+    console.log(
+      "  %s  %s  %s  %dms  %s",
+      result.subscription,
+      result.ok ? "ok    " : "failed",
+      result.status || "-",
+      result.durationMs,
+      result.error || ""
+    );
+  }
+  return results.every((result) => result.ok) ? 0 : 1;
+}
+
+async function webhooksLog(flags) {
+  const limit = Number(flags.limit) > 0 ? Number(flags.limit) : 20;
+  const deliveries = await listWebhookDeliveries({
+    subscription: typeof flags.id === "string" ? flags.id : "",
+    event: typeof flags.event === "string" ? flags.event : "",
+    status: typeof flags.status === "string" ? flags.status : "",
+    email: typeof flags.email === "string" ? flags.email : "",
+  });
+  const shown = deliveries.slice(0, limit);
+  console.log("Webhook deliveries: %d matching, showing %d.", deliveries.length, shown.length);
+
+  for (const delivery of shown) {
+    console.log(
+      "  %s  %s  %s  %s  %s  attempts=%d  last=%s  %s",
+      delivery.id,
+      delivery.status.padEnd(9),
+      delivery.subscription,
+      delivery.event.type,
+      delivery.email || "-",
+      delivery.attempts,
+      delivery.lastStatus || "-",
+      delivery.status === "pending" ? `next=${delivery.nextAttemptAt}` : delivery.lastError || ""
+    );
+  }
+  return 0;
+}
+
+const COMMANDS = {
+  build,
+  headers,
+  "outbox status": outboxStatus,
+  "outbox process": outboxProcess,
+  "outbox replay": outboxReplay,
+  "campaigns list": campaignsList,
+  "leads export": leadsExport,
+  "bookings list": bookingsList,
+  "bookings cancel": bookingsCancel,
+  "suppression list": suppressionList,
+  "suppression add": suppressionAdd,
+  "suppression remove": suppressionRemove,
+  "webhooks list": webhooksList,
+  "webhooks ping": webhooksPing,
+  "webhooks log": webhooksLog,
+};
+
+async function runCli(argv) {
+  const { positional, flags } = parseArgs(argv);
+  const command = COMMANDS[positional.slice(0, 2).join(" ")];
+
+  if (!command || flags.help) {
+    console.log(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  return command(flags);
+}
+
+module.exports = {
+  parseArgs,
+  runCli,
+};
@@ -0,0 +1,134 @@
+const net = require("node:net");
+
+const NAMED_RANGES = {
+  loopback: ["127.0.0.0/8", "::1/128"],
+  private: ["10.0.0.0/8", "172.16.0.0/12", "192.168.0.0/16", "fc00::/7"],
+  linklocal: ["169.254.0.0/16", "fe80::/10"],
+};
+
+function normalizeIp(value) {
+  let ip = String(value || "").trim();
+  if (ip.startsWith("[") && ip.includes("]")) {
+    ip = ip.slice(1, ip.indexOf("]"));
+  } else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(ip)) {
+    ip = ip.slice(0, ip.lastIndexOf(":"));
+  }
+
+  if (ip.toLowerCase().startsWith("::ffff:") && net.isIPv4(ip.slice(7))) {
+    ip = ip.slice(7);
+  }
+
+  return net.isIP(ip) ? ip.toLowerCase() : "";
+}
+
+function ipToBigInt(ip) {
+  if (net.isIPv4(ip)) {
+    return ip.split(".").reduce((total, part) => (total << 8n) + BigInt(Number(part)), 0n);
+  }
+
+  const [head, tail = ""] = ip.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const lastPart = (tailParts.length ? tailParts : headParts).slice(-1)[0] || "";
+
+  if (net.isIPv4(lastPart)) {
+    const v4 = ipToBigInt(lastPart);
+    const target = tailParts.length ? tailParts : headParts;
+    target.splice(-1, 1, ((v4 >> 16n) & 0xffffn).toString(16), (v4 & 0xffffn).toString(16));
+  }
+
+  const missing = 8 - headParts.length - tailParts.length;
+  const parts = ip.includes("::")
+    ? [...headParts, ...new Array(missing).fill("0"), ...tailParts]
+    : headParts;
+  return parts.reduce((total, part) => (total << 16n) + BigInt(parseInt(part, 16) || 0), 0n);
+}
+
+function parseCidr(entry) {
+  const [rawIp, rawBits] = entry.split("/");
+  const ip = normalizeIp(rawIp);
+  if (!ip) {
+    return null;
+  }
+
+  const version = net.isIPv4(ip) ? 4 : 6;
+  const size = version === 4 ? 32 : 128;
+  const bits = rawBits === undefined ? size : Number(rawBits);
+  if (!Number.isInteger(bits) || bits < 0 || bits > size) {
+    return null;
+  }
+
+  const mask = bits === 0 ? 0n : ((1n << BigInt(bits)) - 1n) << BigInt(size - bits);
+  return { version, mask, network: ipToBigInt(ip) & mask };
+}
+
+function parseTrustedProxies(value) {
+  const ranges = [];
+  for (const rawEntry of String(value || "").split(",")) {
+    const entry = rawEntry.trim().toLowerCase();
+    if (!entry) {
+      continue;
+    }
+
+    const expanded = NAMED_RANGES[entry] || [entry];
+    for (const cidr of expanded) {
+      const range = parseCidr(cidr);
+      if (range) {
+        ranges.push(range);
+      } else {
+        console.warn("[client-ip] Ignoring invalid TRUSTED_PROXIES entry %s.", cidr);
+      }
+    }
+  }
+  return ranges;
+}
+
+const TRUSTED_PROXY_RANGES = parseTrustedProxies(process.env.TRUSTED_PROXIES);
+
+function isTrustedProxy(ip, ranges = TRUSTED_PROXY_RANGES) {
+  const normalized = normalizeIp(ip);
+  if (!normalized) {
+    return false;
+  }
+
+  const version = net.isIPv4(normalized) ? 4 : 6;
+  const value = ipToBigInt(normalized);
+  return ranges.some(
+    (range) => range.version === version && (value & range.mask) === range.network
+  );
+}
+
+function resolveClientIp(
+  { remoteAddress = "", forwardedFor = "" },
+  ranges = TRUSTED_PROXY_RANGES
+) {
+  const chain = String(forwardedFor || "")
+    .split(",")
+    .map(normalizeIp)
+    .filter(Boolean);
+
+  const peer = normalizeIp(remoteAddress);
+  if (peer) {
+    chain.push(peer);
+  }
+
+  if (!chain.length) {
+    return "unknown";
+  }
+
+  // Walk from the closest hop outwards and stop at the first address we do not trust.
+  for (let index = chain.length - 1; index >= 0; index -= 1) {
+    if (!isTrustedProxy(chain[index], ranges)) {
+      return chain[index];
+    }
+  }
+
+  return chain[0];
+}
+
+module.exports = {
+  isTrustedProxy,
+  normalizeIp,
+  parseTrustedProxies,
+  resolveClientIp,
+};
@@ -0,0 +1,102 @@
+const { isStaffRequest } = require("./auth");
+const { isCouponStoreShared, redeemCoupon, validateCoupon } = require("./coupons");
+const { json, parseRequestBody, readString } = require("./http");
+
+const REASON_MESSAGES = {
+  not_found: "Coupon not found.",
+  expired: "Coupon has expired.",
+  redeemed: "Coupon was already redeemed.",
+};
+
+// A ledger kept per instance would answer "not found" for codes issued elsewhere, or let the same
+// code be redeemed once on every instance.
+function ledgerUnavailable() {
+  console.error(
+    "[coupons] The coupon ledger is in this instance's temp folder; plug in a shared store " +
+      "with setCouponStore() before checking or redeeming codes."
+  );
+  return json(503, { ok: false, error: "Coupon checks are not available on this deployment." });
+}
+
+function unauthorized() {
+  return json(
+    401,
+    { ok: false, error: "Unauthorized." },
+    { "WWW-Authenticate": 'Bearer realm="coupons"' }
+  );
+}
+
+async function handleCouponValidate(request) {
+  if (request.method !== "GET") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET" });
+  }
+
+  if (!isStaffRequest(request)) {
+    return unauthorized();
+  }
+
+  if (!isCouponStoreShared()) {
+    return ledgerUnavailable();
+  }
+
+  const code = (request.query.get("code") || "").trim();
+  if (!code) {
+    return json(400, { ok: false, error: "Please send a coupon code." });
+  }
+
+  const result = await validateCoupon(code);
+  return json(200, {
+    ok: true,
+    valid: result.valid,
+    reason: result.reason,
+    message: result.reason ? REASON_MESSAGES[result.reason] : "Coupon is valid.",
+    coupon: result.coupon || null,
+  });
+}
+
+async function handleCouponRedeem(request) {
+  if (request.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+  }
+
+  if (!isStaffRequest(request)) {
+    return unauthorized();
+  }
+
+  if (!isCouponStoreShared()) {
+    return ledgerUnavailable();
+  }
+
+  const body = parseRequestBody(request);
+  if (!body.ok) {
+    return body.response;
+  }
+
+  const code = readString(body.value, "code");
+  if (!code) {
+    return json(400, { ok: false, error: "Please send a coupon code." });
+  }
+
+  const result = await redeemCoupon(code, {
+    redeemedBy: readString(body.value, "redeemedBy"),
+    jobReference: readString(body.value, "jobReference"),
+  });
+
+  if (!result.redeemed) {
+    const statusCode = result.reason === "not_found" ? 404 : 409;
+    return json(statusCode, {
+      ok: false,
+      reason: result.reason,
+      error: REASON_MESSAGES[result.reason],
+      coupon: result.coupon || null,
+    });
+  }
+
+  console.log("[coupons] Redeemed %s for %s.", result.coupon.code, result.coupon.email);
+  return json(200, { ok: true, coupon: result.coupon });
+}
+
+module.exports = {
+  handleCouponRedeem,
+  handleCouponValidate,
+};
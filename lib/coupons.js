@@ -0,0 +1,177 @@
+const crypto = require("node:crypto");
+const { isDataDirShared, readJsonFile, updateJsonFile } = require("./storage");
+
+const COUPONS_FILE = "coupons.json";
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_COUPON_POLICY = {
+  prefix: (process.env.COUPON_PREFIX || "BEST10").trim().toUpperCase(),
+  discountPercent: Number(process.env.COUPON_DISCOUNT_PERCENT || 10),
+  validDays: Number(process.env.COUPON_VALID_DAYS || 90),
+};
+
+// The ledger is `{ coupons: { [code]: coupon } }`. `update(updater)` must run the updater on the
+// current ledger and save the `value` it returns before another update can read it.
+function createFileCouponStore(fileName = COUPONS_FILE) {
+  return {
+    shared: isDataDirShared(),
+    read() {
+      return readJsonFile(fileName, { coupons: {} });
+    },
+    update(updater) {
+      return updateJsonFile(fileName, { coupons: {} }, updater);
+    },
+  };
+}
+
+let couponStore = null;
+
+function getCouponStore() {
+  if (!couponStore) {
+    couponStore = createFileCouponStore();
+  }
+  return couponStore;
+}
+
+// Swaps the ledger for anything with `read()` and `update(updater)`, such as a database shared by
+// every serverless instance. Stores are taken to be shared unless they set `shared: false`.
+function setCouponStore(store) {
+  couponStore = store;
+}
+
+// Whether a code issued on one instance can be found on all the others.
+function isCouponStoreShared() {
+  return getCouponStore().shared !== false;
+}
+
+function normalizeCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+function generateCode(prefix) {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let suffix = "";
+  for (const byte of bytes) {
+    suffix += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return prefix ? `${prefix}-${suffix}` : suffix;
+}
+
+function getCouponStatus(coupon, now = Date.now()) {
+  if (coupon.redeemedAt) {
+    return "redeemed";
+  }
+
+  if (coupon.expiresAt && Date.parse(coupon.expiresAt) <= now) {
+    return "expired";
+  }
+
+  return "active";
+}
+
+function toPublicCoupon(coupon) {
+  return {
+    code: coupon.code,
+    email: coupon.email,
+    discountPercent: coupon.discountPercent,
+    issuedAt: coupon.issuedAt,
+    expiresAt: coupon.expiresAt,
+    redeemedAt: coupon.redeemedAt,
+    redeemedBy: coupon.redeemedBy,
+    jobReference: coupon.jobReference,
+    status: getCouponStatus(coupon),
+  };
+}
+
+function issueCoupon(email, policy = DEFAULT_COUPON_POLICY) {
+  const normalizedEmail = email.toLowerCase();
+
+  return getCouponStore().update((store) => {
+    const existing = Object.values(store.coupons).find(
+      (coupon) => coupon.email === normalizedEmail && coupon.prefix === policy.prefix
+    );
+    if (existing) {
+      return { value: store, result: { coupon: existing, created: false } };
+    }
+
+    let code = generateCode(policy.prefix);
+    while (store.coupons[code]) {
+      code = generateCode(policy.prefix);
+    }
+
+    const issuedAt = new Date();
+    const coupon = {
+      code,
+      prefix: policy.prefix,
+      email: normalizedEmail,
+      discountPercent: policy.discountPercent,
+      issuedAt: issuedAt.toISOString(),
+      expiresAt:
+        policy.validDays > 0
+          ? new Date(issuedAt.getTime() + policy.validDays * DAY_MS).toISOString()
+          : null,
+      redeemedAt: null,
+      redeemedBy: null,
+      jobReference: null,
+    };
+
+    store.coupons[code] = coupon;
+    return { value: store, result: { coupon, created: true } };
+  });
+}
+
+async function validateCoupon(code) {
+  const normalized = normalizeCode(code);
+  const store = await getCouponStore().read();
+  const coupon = store.coupons[normalized];
+
+  if (!coupon) {
+    return { valid: false, reason: "not_found" };
+  }
+
+  const status = getCouponStatus(coupon);
+  return {
+    valid: status === "active",
+    reason: status === "active" ? null : status,
+    coupon: toPublicCoupon(coupon),
+  };
+}
+
+function redeemCoupon(code, details = {}) {
+  const normalized = normalizeCode(code);
+
+  return getCouponStore().update((store) => {
+    const coupon = store.coupons[normalized];
+    if (!coupon) {
+      return { value: store, result: { redeemed: false, reason: "not_found" } };
+    }
+
+    const status = getCouponStatus(coupon);
+    if (status !== "active") {
+      return {
+        value: store,
+        result: { redeemed: false, reason: status, coupon: toPublicCoupon(coupon) },
+      };
+    }
+
+    coupon.redeemedAt = new Date().toISOString();
+    coupon.redeemedBy = details.redeemedBy || null;
+    coupon.jobReference = details.jobReference || null;
+    return { value: store, result: { redeemed: true, coupon: toPublicCoupon(coupon) } };
+  });
+}
+
+module.exports = {
+  DEFAULT_COUPON_POLICY,
+  createFileCouponStore,
+  getCouponStore,
+  isCouponStoreShared,
+  issueCoupon,
+  redeemCoupon,
+  setCouponStore,
+  validateCoupon,
+};
@@ -0,0 +1,104 @@
+const dns = require("node:dns/promises");
+const DISPOSABLE_CONFIG = require("../config/disposable-domains.json");
+const emailCheck = require("../assets/email-check");
+
+const EMAIL_MX_CHECK = (process.env.EMAIL_MX_CHECK || "").trim().toLowerCase() === "true";
+const EMAIL_MX_TIMEOUT_MS = Number(process.env.EMAIL_MX_TIMEOUT_MS || 3000);
+
+// Answers that mean the domain does not exist or publishes no mail servers.
+const NO_MAIL_SERVER_CODES = new Set([dns.NOTFOUND, dns.NODATA]);
+
+// The catalog key shown for each reason an address is turned away.
+const EMAIL_ERROR_KEYS = {
+  format: "api.error.email",
+  disposable: "api.error.emailDisposable",
+  "no-mx": "api.error.emailDomain",
+};
+
+const disposableDomains = new Set(
+  DISPOSABLE_CONFIG.domains.map((domain) => domain.trim().toLowerCase())
+);
+
+let mxResolver = dns;
+
+// Swaps the DNS lookup for anything with `resolveMx(domain)` (a stub in tests, or another
+// resolver), resolving to `[{ exchange, priority }]` or rejecting with a `dns` error code.
+function setMxResolver(resolver) {
+  mxResolver = resolver || dns;
+}
+
+// Inboxes on a subdomain of a listed service (anything.mailinator.com) are the same service.
+function isDisposableDomain(domain) {
+  const labels = domain.toLowerCase().split(".");
+  return labels.some(
+    (label, index) =>
+      index < labels.length - 1 && disposableDomains.has(labels.slice(index).join("."))
+  );
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`timed out after ${ms}ms`);
+      error.code = dns.TIMEOUT;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Only a clear answer that the domain has no mail servers turns an address away. A timeout or
+// resolver error says nothing about the address, and rejecting on it would turn away real
+// visitors whenever our DNS is slow; the other checks still apply.
+async function hasMailServer(domain) {
+  let records;
+  try {
+    records = await withTimeout(mxResolver.resolveMx(domain), EMAIL_MX_TIMEOUT_MS);
+  } catch (error) {
+    if (error && NO_MAIL_SERVER_CODES.has(error.code)) {
+      return false;
+    }
+
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn("[email-quality] MX lookup for %s failed, allowing address: %s", domain, message);
+    return true;
+  }
+
+  // A lone "." exchange is a null MX: the domain states that it accepts no mail.
+  return (
+    Array.isArray(records) &&
+    records.some((record) => record && record.exchange && record.exchange !== ".")
+  );
+}
+
+function rejectEmail(reason, suggestion) {
+  return { ok: false, reason, suggestion, errorKey: EMAIL_ERROR_KEYS[reason] };
+}
+
+// Returns `{ ok, reason, suggestion, errorKey }`. `suggestion` is a corrected address for a
+// misspelled domain (or ""); it is advice for the visitor and never a reason on its own.
+async function checkEmailQuality(email, { checkMx = EMAIL_MX_CHECK } = {}) {
+  const checked = emailCheck.check(email);
+  if (!checked.ok) {
+    return rejectEmail(checked.reason, checked.suggestion);
+  }
+
+  const domain = String(email).trim().split("@").pop().toLowerCase();
+  if (isDisposableDomain(domain)) {
+    return rejectEmail("disposable", "");
+  }
+
+  if (checkMx && !(await hasMailServer(domain))) {
+    return rejectEmail("no-mx", checked.suggestion);
+  }
+
+  return { ok: true, reason: "", suggestion: checked.suggestion };
+}
+
+module.exports = {
+  EMAIL_ERROR_KEYS,
+  checkEmailQuality,
+  isDisposableDomain,
+  setMxResolver,
+};
@@ -0,0 +1,46 @@
+class SinkDeliveryError extends Error {
+  constructor(message, { status = 0, retryAfterMs = 0 } = {}) {
+    super(message);
+    this.name = "SinkDeliveryError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = status === 0 || status === 408 || status === 429 || status >= 500;
+  }
+}
+
+class SmtpError extends Error {
+  constructor(message, { code = 0 } = {}) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+  }
+}
+
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return 0;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - now);
+}
+
+function isRetryableError(error) {
+  if (error instanceof SinkDeliveryError) {
+    return error.retryable;
+  }
+
+  return true;
+}
+
+module.exports = {
+  SinkDeliveryError,
+  SmtpError,
+  isRetryableError,
+  parseRetryAfter,
+};
@@ -0,0 +1,367 @@
+const { getPublicBaseUrl, isFormEncoded, json } = require("./http");
+const { createSignedToken, verifySignedToken } = require("./signed-token");
+
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "").trim();
+const FORM_MIN_FILL_MS = Number(process.env.FORM_MIN_FILL_MS || 3000);
+const FORM_TOKEN_TTL_MS = Number(process.env.FORM_TOKEN_TTL_MS || 24 * 60 * 60 * 1000);
+const LINK_SIGNING_SECRET = (process.env.LINK_SIGNING_SECRET || "").trim();
+const CAPTCHA_PROVIDER = (process.env.CAPTCHA_PROVIDER || "").trim().toLowerCase();
+const CAPTCHA_SITE_KEY = (process.env.CAPTCHA_SITE_KEY || "").trim();
+const CAPTCHA_SECRET = (process.env.CAPTCHA_SECRET || "").trim();
+const CAPTCHA_VERIFY_URL = (process.env.CAPTCHA_VERIFY_URL || "").trim();
+const CAPTCHA_TIMEOUT_MS = Number(process.env.CAPTCHA_TIMEOUT_MS || 5000);
+const CAPTCHA_FAIL_OPEN = (process.env.CAPTCHA_FAIL_OPEN || "").trim().toLowerCase() === "true";
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+// Both providers take the same siteverify form post; `origins` is what their widget loads from.
+const CAPTCHA_PROVIDERS = {
+  turnstile: {
+    verifyUrl: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+    origins: ["https://challenges.cloudflare.com"],
+  },
+  hcaptcha: {
+    verifyUrl: "https://api.hcaptcha.com/siteverify",
+    origins: ["https://hcaptcha.com", "https://*.hcaptcha.com"],
+  },
+};
+
+let allowedOrigins;
+let captchaConfig;
+let captchaVerifier = null;
+let fillTimeWarned = false;
+
+function readOrigin(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === "https:" || url.protocol === "http:") && url.origin === value
+      ? url.origin
+      : "";
+  } catch (error) {
+    return "";
+  }
+}
+
+// A bad entry is dropped rather than turning the list off, since that only ever allows less.
+function getAllowedOrigins() {
+  if (!allowedOrigins) {
+    allowedOrigins = new Set();
+    const invalid = [];
+    for (const entry of ALLOWED_ORIGINS.split(",").map((value) => value.trim())) {
+      const origin = readOrigin(entry.replace(/\/+$/, ""));
+      if (origin) {
+        allowedOrigins.add(origin);
+      } else if (entry) {
+        invalid.push(entry);
+      }
+    }
+    if (invalid.length) {
+      console.error(
+        "[form-guard] Ignoring ALLOWED_ORIGINS entries %s: use origins like https://example.com.",
+        invalid.join(", ")
+      );
+    }
+  }
+  return allowedOrigins;
+}
+
+function normalizeCaptchaConfig() {
+  const provider = CAPTCHA_PROVIDERS[CAPTCHA_PROVIDER];
+  const problems = [];
+  if (!provider) {
+    problems.push(`CAPTCHA_PROVIDER must be one of ${Object.keys(CAPTCHA_PROVIDERS).join(", ")}`);
+  }
+  if (!CAPTCHA_SITE_KEY) {
+    problems.push("CAPTCHA_SITE_KEY is not configured");
+  }
+  if (!CAPTCHA_SECRET) {
+    problems.push("CAPTCHA_SECRET is not configured");
+  }
+
+  if (problems.length) {
+    return { problems };
+  }
+
+  return {
+    problems,
+    config: {
+      provider: CAPTCHA_PROVIDER,
+      siteKey: CAPTCHA_SITE_KEY,
+      secret: CAPTCHA_SECRET,
+      verifyUrl: CAPTCHA_VERIFY_URL || provider.verifyUrl,
+    },
+  };
+}
+
+function getCaptchaConfig() {
+  if (captchaConfig === undefined) {
+    const { problems, config } = CAPTCHA_PROVIDER ? normalizeCaptchaConfig() : { problems: [] };
+    if (problems.length) {
+      console.error("[form-guard] CAPTCHA checks are off: %s.", problems.join("; "));
+    }
+    captchaConfig = config || null;
+  }
+  return captchaConfig;
+}
+
+// The widget's origins, for the Content-Security-Policy of the pages that show it.
+function getCaptchaOrigins() {
+  const provider = CAPTCHA_PROVIDERS[CAPTCHA_PROVIDER];
+  return provider ? provider.origins : [];
+}
+
+function createSiteverifyCaptchaVerifier({ verifyUrl, secret, timeoutMs = CAPTCHA_TIMEOUT_MS }) {
+  return {
+    async verify(token, ip) {
+      const form = new URLSearchParams({ secret, response: token });
+      if (ip && ip !== "unknown") {
+        form.set("remoteip", ip);
+      }
+
+      const response = await fetch(verifyUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: form.toString(),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`CAPTCHA verification responded ${response.status}`);
+      }
+
+      const result = await response.json();
+      return {
+        ok: result.success === true,
+        reason: (result["error-codes"] || []).join(", ") || (result.success ? "" : "rejected"),
+      };
+    },
+  };
+}
+
+function getCaptchaVerifier() {
+  if (!captchaVerifier) {
+    const config = getCaptchaConfig();
+    captchaVerifier = config ? createSiteverifyCaptchaVerifier(config) : null;
+  }
+  return captchaVerifier;
+}
+
+// Swaps in another verifier (a stub in tests, or another provider) that implements
+// `verify(token, ip)` returning `{ ok, reason }`. It applies even when CAPTCHA_PROVIDER is unset.
+function setCaptchaVerifier(verifier) {
+  captchaVerifier = verifier;
+}
+
+function getRequestHost(request) {
+  return String(request.headers["x-forwarded-host"] || request.headers.host || "")
+    .split(",")[0]
+    .trim()
+    .toLowerCase();
+}
+
+// `cors` is set for allow-listed origins other than our own, whose responses need CORS headers.
+function checkOrigin(request) {
+  const origin = String(request.headers.origin || "").trim();
+  if (!origin) {
+    // Requests without Origin come from servers and scripts, or from browsers that predate it;
+    // those still send Sec-Fetch-Site when the page was on another site.
+    return { allowed: request.headers["sec-fetch-site"] !== "cross-site", cors: false };
+  }
+
+  // Sandboxed frames and file:// pages send the opaque origin "null".
+  const normalized = readOrigin(origin);
+  if (!normalized) {
+    return { allowed: false, cors: false, origin };
+  }
+
+  if (
+    new URL(normalized).host === getRequestHost(request) ||
+    normalized === new URL(getPublicBaseUrl(request)).origin
+  ) {
+    return { allowed: true, cors: false, origin: normalized };
+  }
+
+  const allowed = getAllowedOrigins().has(normalized);
+  return { allowed, cors: allowed, origin: normalized };
+}
+
+function getCorsHeaders(origin) {
+  return { "Access-Control-Allow-Origin": origin, Vary: "Origin" };
+}
+
+function respondToPreflight(request, check, methods) {
+  if (!request.headers.origin) {
+    return json(204, {}, { Allow: `${methods}, OPTIONS` });
+  }
+
+  if (!check.allowed) {
+    return json(403, { ok: false, error: "Origin not allowed." }, { Vary: "Origin" });
+  }
+
+  return json(
+    204,
+    {},
+    {
+      ...getCorsHeaders(check.origin),
+      Allow: `${methods}, OPTIONS`,
+      "Access-Control-Allow-Methods": `${methods}, OPTIONS`,
+      "Access-Control-Allow-Headers": "Content-Type, Accept",
+      "Access-Control-Max-Age": String(PREFLIGHT_MAX_AGE_SECONDS),
+    }
+  );
+}
+
+// Wraps an API handler: answers CORS preflights, rejects requests from other sites before the
+// handler runs, and adds CORS headers to responses for allow-listed origins.
+function withOriginPolicy(handler, { methods = "POST" } = {}) {
+  return async function originPolicyHandler(request) {
+    const check = checkOrigin(request);
+    if (request.method === "OPTIONS") {
+      return respondToPreflight(request, check, methods);
+    }
+
+    if (!check.allowed) {
+      console.warn(
+        "[form-guard] Rejected a cross-site %s %s from %s.",
+        request.method,
+        request.path,
+        check.origin || "a page on another site"
+      );
+      return json(403, { ok: false, error: "Cross-site requests are not allowed." });
+    }
+
+    const response = await handler(request);
+    if (!check.cors) {
+      return response;
+    }
+    return { ...response, headers: { ...response.headers, ...getCorsHeaders(check.origin) } };
+  };
+}
+
+function isFillTimeCheckEnabled() {
+  if (FORM_MIN_FILL_MS <= 0) {
+    return false;
+  }
+
+  if (!LINK_SIGNING_SECRET) {
+    if (!fillTimeWarned) {
+      fillTimeWarned = true;
+      console.warn(
+        "[form-guard] The fill-time check is off: LINK_SIGNING_SECRET is not configured."
+      );
+    }
+    return false;
+  }
+  return true;
+}
+
+function issueFormToken() {
+  return isFillTimeCheckEnabled()
+    ? createSignedToken("form", { issuedAt: Date.now() }, FORM_TOKEN_TTL_MS)
+    : "";
+}
+
+// The page asks for a token as it loads, so a submission that follows it too quickly was not typed.
+function checkFillTime(token) {
+  if (!isFillTimeCheckEnabled()) {
+    return { ok: true };
+  }
+
+  if (!token) {
+    return { ok: false, reason: "form-token-missing" };
+  }
+
+  const verified = verifySignedToken(token, "form");
+  if (!verified.ok) {
+    return { ok: false, reason: `form-token-${verified.reason}` };
+  }
+
+  if (Date.now() - Number(verified.data.issuedAt) < FORM_MIN_FILL_MS) {
+    return { ok: false, reason: "too-fast" };
+  }
+  return { ok: true };
+}
+
+// When the verifier errors the submission is turned away, since letting it through would switch the
+// check off for as long as the provider is down. CAPTCHA_FAIL_OPEN=true lets it through instead.
+async function checkCaptcha(token, ip) {
+  const verifier = getCaptchaVerifier();
+  if (!verifier) {
+    return { ok: true };
+  }
+
+  if (!token) {
+    return { ok: false, reason: "captcha-missing" };
+  }
+
+  try {
+    const result = await verifier.verify(token, ip);
+    return result.ok
+      ? { ok: true }
+      : { ok: false, reason: `captcha-${result.reason || "rejected"}` };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (CAPTCHA_FAIL_OPEN) {
+      console.warn(
+        "[form-guard] CAPTCHA verification failed; letting a submission from %s through " +
+          "unchecked (CAPTCHA_FAIL_OPEN): %s",
+        ip || "unknown",
+        message
+      );
+      return { ok: true };
+    }
+
+    console.error("[form-guard] CAPTCHA verification failed, rejecting request: %s", message);
+    return {
+      ok: false,
+      reason: "captcha-unavailable",
+      statusCode: 503,
+      errorKey: "api.error.captchaUnavailable",
+    };
+  }
+}
+
+// Runs the fill-time and CAPTCHA checks on a parsed form body. Submissions that look automated
+// are meant to get the same fake success as the honeypot (`silent`); the others carry the catalog
+// key of a message the visitor can act on, and a `statusCode` when it is not 400.
+//
+// The token arrives through script, so a form posted without JavaScript has none. Endpoints whose
+// form works that way opt in with `allowNoScript`; a tokenless form post then skips the fill-time
+// check and comes back with `noScript: true`, for the caller to hold to a stricter rate limit.
+async function checkFormGuard(request, body, { allowNoScript = false } = {}) {
+  const formToken = typeof body.formToken === "string" ? body.formToken.trim() : "";
+  const noScript = allowNoScript && !formToken && isFormEncoded(request);
+  const fillTime = noScript ? { ok: true } : checkFillTime(formToken);
+  if (!fillTime.ok) {
+    return fillTime.reason === "too-fast"
+      ? { ...fillTime, silent: true }
+      : { ...fillTime, errorKey: "api.error.formExpired" };
+  }
+
+  const captchaToken = typeof body.captchaToken === "string" ? body.captchaToken.trim() : "";
+  const captcha = await checkCaptcha(captchaToken, request.ip);
+  return captcha.ok ? { ok: true, noScript } : { errorKey: "api.error.captcha", ...captcha };
+}
+
+async function handleFormToken(request) {
+  if (request.method !== "GET") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET" });
+  }
+
+  const config = getCaptchaConfig();
+  return json(200, {
+    ok: true,
+    token: issueFormToken(),
+    captcha: config ? { provider: config.provider, siteKey: config.siteKey } : null,
+  });
+}
+
+module.exports = {
+  CAPTCHA_PROVIDERS,
+  checkFormGuard,
+  checkOrigin,
+  createSiteverifyCaptchaVerifier,
+  getCaptchaOrigins,
+  handleFormToken: withOriginPolicy(handleFormToken, { methods: "GET" }),
+  issueFormToken,
+  setCaptchaVerifier,
+  withOriginPolicy,
+};
@@ -0,0 +1,135 @@
+const { DEFAULT_LOCALE, translate } = require("./i18n");
+
+const MAX_BODY_SIZE = 16 * 1024;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").trim().replace(/\/+$/, "");
+
+function json(statusCode, payload, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store",
+      ...extraHeaders,
+    },
+    body: statusCode === 204 ? "" : JSON.stringify(payload),
+  };
+}
+
+function normalizeHeaders(headers) {
+  const normalized = {};
+  if (!headers || typeof headers !== "object") {
+    return normalized;
+  }
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    normalized[key.toLowerCase()] = Array.isArray(value) ? value.join(", ") : String(value);
+  }
+
+  return normalized;
+}
+
+function getPublicBaseUrl(request) {
+  if (PUBLIC_BASE_URL) {
+    return PUBLIC_BASE_URL;
+  }
+
+  const host = String(request.headers["x-forwarded-host"] || request.headers.host || "localhost")
+    .split(",")[0]
+    .trim();
+  const isLocal = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(host);
+  const proto = String(request.headers["x-forwarded-proto"] || (isLocal ? "http" : "https"))
+    .split(",")[0]
+    .trim();
+  return `${proto}://${host}`;
+}
+
+// The base for links that leave the request, such as those in emails. Only PUBLIC_BASE_URL
+// counts: Host and X-Forwarded-Host are whatever the client sent.
+function getLinkBaseUrl() {
+  return PUBLIC_BASE_URL;
+}
+
+function isFormEncoded(request) {
+  const contentType = request.headers["content-type"] || "";
+  return contentType.toLowerCase().startsWith("application/x-www-form-urlencoded");
+}
+
+function invalidBody(locale) {
+  const error = translate(locale, "api.error.invalidBody");
+  return { ok: false, response: json(400, { ok: false, error }) };
+}
+
+function parseRequestBody(request, locale = DEFAULT_LOCALE) {
+  const rawBody = typeof request.rawBody === "string" ? request.rawBody : "";
+
+  if (request.bodyError === "too-large" || Buffer.byteLength(rawBody, "utf8") > MAX_BODY_SIZE) {
+    const error = translate(locale, "api.error.payloadTooLarge");
+    return { ok: false, response: json(413, { ok: false, error }) };
+  }
+
+  if (request.bodyError === "invalid") {
+    return invalidBody(locale);
+  }
+
+  // Repeated form fields, such as a group of checkboxes, arrive as an array.
+  if (isFormEncoded(request) && !rawBody.trimStart().startsWith("{")) {
+    const value = {};
+    for (const [key, entry] of new URLSearchParams(rawBody)) {
+      value[key] = key in value ? [].concat(value[key], entry) : entry;
+    }
+    return { ok: true, value };
+  }
+
+  let parsed;
+  try {
+    parsed = rawBody ? JSON.parse(rawBody) : {};
+  } catch (error) {
+    return invalidBody(locale);
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return invalidBody(locale);
+  }
+
+  return { ok: true, value: parsed };
+}
+
+function readCookie(request, name) {
+  for (const part of String(request.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return "";
+}
+
+function readString(source, key) {
+  return typeof source[key] === "string" ? source[key].trim() : "";
+}
+
+// A field sent as a list or, from a form with one box ticked, as a single value.
+function readList(source, key) {
+  const values = Array.isArray(source[key]) ? source[key] : [source[key]];
+  return values
+    .filter((value) => typeof value === "string")
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  MAX_BODY_SIZE,
+  getLinkBaseUrl,
+  getPublicBaseUrl,
+  isFormEncoded,
+  json,
+  normalizeHeaders,
+  parseRequestBody,
+  readCookie,
+  readList,
+  readString,
+};
@@ -0,0 +1,183 @@
+const { SinkDeliveryError, parseRetryAfter } = require("./errors");
+const { splitName } = require("./names");
+
+const HUBSPOT_API_BASE = (process.env.HUBSPOT_API_BASE || "https://api.hubapi.com").replace(
+  /\/+$/,
+  ""
+);
+const HUBSPOT_ACCESS_TOKEN = (process.env.HUBSPOT_ACCESS_TOKEN || "").trim();
+const HUBSPOT_SYNC_ATTRIBUTION =
+  (process.env.HUBSPOT_SYNC_ATTRIBUTION || "").trim().toLowerCase() === "true";
+
+// Custom contact properties (internal names) that must exist in HubSpot before enabling
+// HUBSPOT_SYNC_ATTRIBUTION; HubSpot rejects the whole update if one is missing.
+const ATTRIBUTION_PROPERTIES = {
+  utmSource: "utm_source",
+  utmMedium: "utm_medium",
+  utmCampaign: "utm_campaign",
+  utmTerm: "utm_term",
+  utmContent: "utm_content",
+  gclid: "gclid",
+  fbclid: "fbclid",
+  referrer: "lead_referrer",
+  landingPage: "lead_landing_page",
+  landedAt: "lead_landed_at",
+};
+
+// Site locales as values of HubSpot's built-in "Preferred language" (hs_language) property.
+const HUBSPOT_LANGUAGES = { en: "en", "pt-BR": "pt-br", es: "es" };
+
+async function getHubSpotErrorMessage(response) {
+  const raw = await response.text();
+  if (!raw) {
+    return `${response.status} ${response.statusText}`.trim();
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed.message || parsed.error || raw;
+  } catch (error) {
+    return raw;
+  }
+}
+
+function toHubSpotError(action, response, errorMessage) {
+  return new SinkDeliveryError(`HubSpot ${action} failed (${response.status}): ${errorMessage}`, {
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+  });
+}
+
+async function callHubSpot(path, method, body, signal) {
+  if (!HUBSPOT_ACCESS_TOKEN) {
+    return { skipped: true };
+  }
+
+  const response = await fetch(`${HUBSPOT_API_BASE}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  return {
+    skipped: false,
+    response,
+  };
+}
+
+async function syncLeadToHubSpot(lead, options = {}) {
+  if (!HUBSPOT_ACCESS_TOKEN) {
+    return { skipped: true };
+  }
+
+  const { firstName, lastName } = splitName(lead.name);
+  const properties = {
+    email: lead.email,
+    firstname: firstName,
+  };
+
+  if (lastName) {
+    properties.lastname = lastName;
+  }
+
+  if (lead.phone) {
+    properties.phone = lead.phone;
+  }
+
+  if (HUBSPOT_LANGUAGES[lead.locale]) {
+    properties.hs_language = HUBSPOT_LANGUAGES[lead.locale];
+  }
+
+  if (HUBSPOT_SYNC_ATTRIBUTION && lead.attribution) {
+    // Only send what this visit captured so earlier attribution is not blanked out.
+    for (const [key, property] of Object.entries(ATTRIBUTION_PROPERTIES)) {
+      if (lead.attribution[key]) {
+        properties[property] = lead.attribution[key];
+      }
+    }
+  }
+
+  const patchResult = await callHubSpot(
+    `/crm/v3/objects/contacts/${encodeURIComponent(lead.email)}?idProperty=email`,
+    "PATCH",
+    { properties },
+    options.signal
+  );
+
+  if (patchResult.skipped) {
+    return { skipped: true };
+  }
+
+  const patchResponse = patchResult.response;
+  if (patchResponse.ok) {
+    return { skipped: false, action: "updated" };
+  }
+
+  if (patchResponse.status !== 404) {
+    const errorMessage = await getHubSpotErrorMessage(patchResponse);
+    throw toHubSpotError("update", patchResponse, errorMessage);
+  }
+
+  const createResult = await callHubSpot(
+    "/crm/v3/objects/contacts",
+    "POST",
+    { properties },
+    options.signal
+  );
+  if (createResult.skipped) {
+    return { skipped: true };
+  }
+
+  const createResponse = createResult.response;
+  if (createResponse.ok) {
+    return { skipped: false, action: "created" };
+  }
+
+  const createError = await getHubSpotErrorMessage(createResponse);
+  throw toHubSpotError("create", createResponse, createError);
+}
+
+async function unsubscribeFromHubSpot(lead, options = {}) {
+  const statusPath = `/communication-preferences/v4/statuses/${encodeURIComponent(lead.email)}`;
+  const result = await callHubSpot(
+    `${statusPath}/unsubscribe-all?channel=EMAIL`,
+    "POST",
+    undefined,
+    options.signal
+  );
+
+  if (result.skipped) {
+    return { skipped: true };
+  }
+
+  const response = result.response;
+  if (response.ok) {
+    return { skipped: false, action: "unsubscribed" };
+  }
+
+  if (response.status === 404) {
+    return { skipped: true, reason: "contact does not exist in HubSpot" };
+  }
+
+  const errorMessage = await getHubSpotErrorMessage(response);
+  throw toHubSpotError("unsubscribe", response, errorMessage);
+}
+
+const hubspotSink = {
+  name: "hubspot",
+  policy: "required",
+  retry: true,
+  getSkipReason: () => (HUBSPOT_ACCESS_TOKEN ? "" : "HUBSPOT_ACCESS_TOKEN is not configured"),
+  run: syncLeadToHubSpot,
+  unsubscribe: unsubscribeFromHubSpot,
+};
+
+module.exports = {
+  hubspotSink,
+  syncLeadToHubSpot,
+  unsubscribeFromHubSpot,
+};
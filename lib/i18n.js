@@ -0,0 +1,75 @@
+const CATALOGS = {
+  en: require("../locales/en.json"),
+  "pt-BR": require("../locales/pt-BR.json"),
+  es: require("../locales/es.json"),
+};
+
+const DEFAULT_LOCALE = "en";
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Maps a language tag to a supported locale: exact matches first, then by language alone,
+// so "pt", "pt-PT" and "es-MX" still get Portuguese and Spanish.
+function matchLocale(value) {
+  const tag = String(value || "")
+    .trim()
+    .replace(/_/g, "-")
+    .toLowerCase();
+  if (!tag) {
+    return null;
+  }
+
+  const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === tag);
+  if (exact) {
+    return exact;
+  }
+
+  const language = tag.split("-")[0];
+  const byLanguage = SUPPORTED_LOCALES.find(
+    (locale) => locale.toLowerCase().split("-")[0] === language
+  );
+  return byLanguage || null;
+}
+
+function negotiateLocale(acceptLanguage) {
+  const ranges = String(acceptLanguage || "")
+    .split(",")
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(";");
+      const qParam = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+      const quality = qParam ? Number(qParam.slice(2)) : 1;
+      return { range: range.trim(), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter((entry) => entry.range && entry.range !== "*" && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const entry of ranges) {
+    const locale = matchLocale(entry.range);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+// A language picked on the page's switcher wins over the browser's Accept-Language.
+function getRequestLocale(request, preferred) {
+  return matchLocale(preferred) || negotiateLocale(request.headers["accept-language"]);
+}
+
+function translate(locale, key, params = {}) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const template = catalog[key] || CATALOGS[DEFAULT_LOCALE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  getRequestLocale,
+  matchLocale,
+  negotiateLocale,
+  translate,
+};
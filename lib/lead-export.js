@@ -0,0 +1,172 @@
+const { ATTRIBUTION_FIELDS } = require("./attribution");
+const { isStaffRequest } = require("./auth");
+const { json } = require("./http");
+const { getLeadStore, matchesSubmission } = require("./lead-store");
+const { summarizeSyncStatus } = require("./sinks");
+
+const EXPORT_FORMATS = ["csv", "json"];
+const EXPORT_COLUMNS = [
+  "name",
+  "email",
+  "phone",
+  "source",
+  "campaign",
+  "locale",
+  "createdAt",
+  "createdAtClient",
+  "pagePath",
+  "userAgent",
+  "coupon",
+  "syncStatus",
+  "sync",
+  ...Object.keys(ATTRIBUTION_FIELDS),
+  "landedAt",
+];
+
+// Spreadsheets treat cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatLeadsCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map((column) => escapeCsvValue(row[column])).join(","));
+  }
+
+  // The byte-order mark makes Excel read accented names as UTF-8.
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+function readExportFilters(values) {
+  const filters = {
+    from: String(values.from || "").trim(),
+    to: String(values.to || "").trim(),
+    source: String(values.source || "").trim(),
+    campaign: String(values.campaign || "").trim(),
+  };
+  const format = String(values.format || "csv")
+    .trim()
+    .toLowerCase();
+
+  for (const key of ["from", "to"]) {
+    if (filters[key] && Number.isNaN(Date.parse(filters[key]))) {
+      return { error: `${key} must be a date such as 2024-05-31.` };
+    }
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of ${EXPORT_FORMATS.join(", ")}.` };
+  }
+
+  return { filters, format };
+}
+
+function toExportRow(record, submission) {
+  return {
+    ...submission.attribution,
+    name: submission.name || record.name,
+    email: record.email,
+    phone: submission.phone || record.phone,
+    source: submission.source,
+    campaign: submission.campaign || "",
+    locale: submission.locale || "",
+    createdAt: submission.createdAt,
+    createdAtClient: submission.createdAtClient || "",
+    pagePath: submission.pagePath || "",
+    userAgent: submission.userAgent || "",
+    coupon: submission.coupon || record.coupon,
+    syncStatus: summarizeSyncStatus(record.sync),
+    sync: Object.entries(record.sync || {})
+      .map(([sink, entry]) => `${sink}:${entry.status}`)
+      .join(" "),
+  };
+}
+
+async function listExportRows(filters) {
+  const records = await getLeadStore().list(filters);
+  const rows = [];
+  for (const record of records) {
+    for (const submission of record.submissions) {
+      if (matchesSubmission(submission, filters)) {
+        rows.push(toExportRow(record, submission));
+      }
+    }
+  }
+
+  return rows.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+async function buildLeadExport(filters, format = "csv") {
+  const rows = await listExportRows(filters);
+  const exportedAt = new Date().toISOString();
+  const fileName = `leads-${exportedAt.slice(0, 10)}.${format}`;
+
+  if (format === "json") {
+    const payload = { exportedAt, filters, count: rows.length, leads: rows };
+    return {
+      count: rows.length,
+      fileName,
+      contentType: "application/json; charset=utf-8",
+      body: `${JSON.stringify(payload, null, 2)}\n`,
+    };
+  }
+
+  return {
+    count: rows.length,
+    fileName,
+    contentType: "text/csv; charset=utf-8",
+    body: formatLeadsCsv(rows),
+  };
+}
+
+async function handleLeadExport(request) {
+  if (request.method !== "GET") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET" });
+  }
+
+  if (!isStaffRequest(request)) {
+    return json(
+      401,
+      { ok: false, error: "Unauthorized." },
+      { "WWW-Authenticate": 'Bearer realm="leads"' }
+    );
+  }
+
+  const parsed = readExportFilters(Object.fromEntries(request.query));
+  if (parsed.error) {
+    return json(400, { ok: false, error: parsed.error });
+  }
+
+  try {
+    const result = await buildLeadExport(parsed.filters, parsed.format);
+    console.log("[lead-export] Exported %d lead submission(s) as %s.", result.count, parsed.format);
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": result.contentType,
+        "Content-Disposition": `attachment; filename="${result.fileName}"`,
+        "Cache-Control": "no-store",
+        "X-Robots-Tag": "noindex, nofollow",
+      },
+      body: result.body,
+    };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[lead-export] Export failed: %s", message);
+    return json(500, { ok: false, error: "Unable to export leads right now." });
+  }
+}
+
+module.exports = {
+  buildLeadExport,
+  handleLeadExport,
+  readExportFilters,
+};
@@ -0,0 +1,266 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { resolveDataPath, withFileLock } = require("./storage");
+
+const LEADS_FILE = "leads.jsonl";
+
+function toTime(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function toEndTime(value) {
+  // A bare date such as "2024-05-31" includes the whole day.
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? toTime(`${value}T23:59:59.999Z`)
+    : toTime(value);
+}
+
+function matchesSubmission(submission, filters = {}) {
+  const createdAt = toTime(submission.createdAt);
+  const from = toTime(filters.from);
+  const to = toEndTime(filters.to);
+
+  if (from !== null && createdAt < from) {
+    return false;
+  }
+  if (to !== null && createdAt > to) {
+    return false;
+  }
+  if (filters.source && submission.source !== filters.source) {
+    return false;
+  }
+  return !filters.campaign || submission.campaign === filters.campaign;
+}
+
+function cloneRecord(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+function createLeadIndex() {
+  const records = new Map();
+
+  function applySubmission(lead) {
+    const email = lead.email.toLowerCase();
+    const existing = records.get(email);
+    const record = existing || {
+      email,
+      name: "",
+      phone: "",
+      coupon: "",
+      locale: "",
+      sources: [],
+      firstSeenAt: lead.createdAt,
+      lastSeenAt: lead.createdAt,
+      submissions: [],
+      sync: {},
+    };
+
+    record.name = lead.name || record.name;
+    record.phone = lead.phone || record.phone;
+    record.coupon = lead.coupon || record.coupon;
+    // The latest language the lead used is the one follow-ups should be sent in.
+    record.locale = lead.locale || record.locale || "";
+    record.lastSeenAt = lead.createdAt;
+    if (!record.sources.includes(lead.source)) {
+      record.sources.push(lead.source);
+    }
+    record.submissions.push(lead);
+    records.set(email, record);
+
+    return { record, created: !existing };
+  }
+
+  function applyUpdate(email, patch) {
+    const record = records.get(email.toLowerCase());
+    if (!record) {
+      return null;
+    }
+
+    for (const [key, value] of Object.entries(patch)) {
+      if (key === "email" || key === "submissions") {
+        continue;
+      }
+
+      if (key === "sync" && value && typeof value === "object") {
+        record.sync = { ...record.sync, ...value };
+      } else {
+        record[key] = value;
+      }
+    }
+
+    return record;
+  }
+
+  function list(filters = {}) {
+    return Array.from(records.values())
+      .filter((record) =>
+        record.submissions.some((submission) => matchesSubmission(submission, filters))
+      )
+      .sort((a, b) => toTime(b.lastSeenAt) - toTime(a.lastSeenAt))
+      .map(cloneRecord);
+  }
+
+  function get(email) {
+    const record = records.get(String(email || "").toLowerCase());
+    return record ? cloneRecord(record) : null;
+  }
+
+  return {
+    applySubmission,
+    applyUpdate,
+    get,
+    list,
+  };
+}
+
+function createMemoryLeadStore() {
+  const index = createLeadIndex();
+
+  return {
+    async recordSubmission(lead) {
+      const { record, created } = index.applySubmission(lead);
+      return { record: cloneRecord(record), created };
+    },
+    async update(email, patch) {
+      const record = index.applyUpdate(email, patch);
+      return record ? cloneRecord(record) : null;
+    },
+    async get(email) {
+      return index.get(email);
+    },
+    async list(filters) {
+      return index.list(filters);
+    },
+  };
+}
+
+function createFileLeadStore(fileName = LEADS_FILE) {
+  const filePath = resolveDataPath(fileName);
+  let index = createLeadIndex();
+  let offset = 0;
+
+  function applyEntry(entry) {
+    if (entry.type === "submission" && entry.lead && entry.lead.email) {
+      index.applySubmission(entry.lead);
+    } else if (entry.type === "update" && entry.email && entry.patch) {
+      index.applyUpdate(entry.email, entry.patch);
+    }
+  }
+
+  async function syncFromFile() {
+    let handle;
+    try {
+      handle = await fs.open(filePath, "r");
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      if (size < offset) {
+        index = createLeadIndex();
+        offset = 0;
+      }
+
+      if (size === offset) {
+        return;
+      }
+
+      const buffer = Buffer.alloc(size - offset);
+      await handle.read(buffer, 0, buffer.length, offset);
+      const text = buffer.toString("utf8");
+      const complete = text.slice(0, text.lastIndexOf("\n") + 1);
+
+      for (const line of complete.split("\n")) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        try {
+          applyEntry(JSON.parse(line));
+        } catch (error) {
+          console.warn("[lead-store] Skipping unreadable line in %s.", fileName);
+        }
+      }
+
+      offset += Buffer.byteLength(complete, "utf8");
+    } finally {
+      await handle.close();
+    }
+  }
+
+  function refresh() {
+    return withFileLock(fileName, syncFromFile);
+  }
+
+  // `inspect` sees the index under the lock, just before the entry is written, so what it finds
+  // (such as whether a lead is new) can't be changed by a write from another request.
+  function append(entry, inspect = () => undefined) {
+    return withFileLock(fileName, async () => {
+      await syncFromFile();
+      const before = inspect(index);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`, "utf8");
+      await syncFromFile();
+      return before;
+    });
+  }
+
+  return {
+    async recordSubmission(lead) {
+      const created = await append(
+        { type: "submission", at: new Date().toISOString(), lead },
+        (current) => !current.get(lead.email)
+      );
+      return { record: index.get(lead.email), created };
+    },
+    async update(email, patch) {
+      await refresh();
+      if (!index.get(email)) {
+        return null;
+      }
+
+      const normalizedEmail = email.toLowerCase();
+      await append({ type: "update", at: new Date().toISOString(), email: normalizedEmail, patch });
+      return index.get(normalizedEmail);
+    },
+    async get(email) {
+      await refresh();
+      return index.get(email);
+    },
+    async list(filters) {
+      await refresh();
+      return index.list(filters);
+    },
+  };
+}
+
+let leadStore = null;
+
+function getLeadStore() {
+  if (!leadStore) {
+    const kind = (process.env.LEAD_STORE || "file").trim().toLowerCase();
+    leadStore = kind === "memory" ? createMemoryLeadStore() : createFileLeadStore();
+  }
+  return leadStore;
+}
+
+function setLeadStore(store) {
+  leadStore = store;
+}
+
+module.exports = {
+  createFileLeadStore,
+  createMemoryLeadStore,
+  getLeadStore,
+  matchesSubmission,
+  setLeadStore,
+};
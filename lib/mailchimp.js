@@ -0,0 +1,149 @@
+const crypto = require("node:crypto");
+const { splitName } = require("./names");
+
+const MAILCHIMP_API_KEY = (process.env.MAILCHIMP_API_KEY || "").trim();
+const MAILCHIMP_AUDIENCE_ID = (process.env.MAILCHIMP_AUDIENCE_ID || "").trim();
+const MAILCHIMP_DATACENTER = MAILCHIMP_API_KEY.includes("-")
+  ? MAILCHIMP_API_KEY.split("-").pop()
+  : "us1";
+const MAILCHIMP_API_BASE = (
+  process.env.MAILCHIMP_API_BASE || `https://${MAILCHIMP_DATACENTER}.api.mailchimp.com`
+).replace(/\/+$/, "");
+
+// Site locales as Mailchimp language codes, so campaigns can be segmented by language.
+const MAILCHIMP_LANGUAGES = { en: "en", "pt-BR": "pt", es: "es" };
+
+function getMailchimpSkipReason() {
+  if (!MAILCHIMP_API_KEY) {
+    return "MAILCHIMP_API_KEY is not configured";
+  }
+
+  if (!MAILCHIMP_AUDIENCE_ID) {
+    return "MAILCHIMP_AUDIENCE_ID is not configured";
+  }
+
+  return "";
+}
+
+function getSubscriberHash(email) {
+  return crypto.createHash("md5").update(email.toLowerCase()).digest("hex");
+}
+
+async function getMailchimpErrorMessage(response) {
+  const raw = await response.text();
+  if (!raw) {
+    return `${response.status} ${response.statusText}`.trim();
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed.detail || parsed.title || raw;
+  } catch (error) {
+    return raw;
+  }
+}
+
+async function callMailchimp(path, method, body, signal) {
+  const auth = Buffer.from(`anystring:${MAILCHIMP_API_KEY}`).toString("base64");
+  return fetch(`${MAILCHIMP_API_BASE}/3.0${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${auth}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+function getLeadTags(lead) {
+  return lead.source ? [lead.source] : [];
+}
+
+async function syncLeadToMailchimp(lead, options = {}) {
+  const skipReason = getMailchimpSkipReason();
+  if (skipReason) {
+    return { skipped: true, reason: skipReason };
+  }
+
+  const { firstName, lastName } = splitName(lead.name);
+  const memberPath = `/lists/${encodeURIComponent(MAILCHIMP_AUDIENCE_ID)}/members/${getSubscriberHash(
+    lead.email
+  )}`;
+
+  const member = {
+    email_address: lead.email,
+    status_if_new: "subscribed",
+    merge_fields: {
+      FNAME: firstName,
+      LNAME: lastName,
+    },
+  };
+  if (MAILCHIMP_LANGUAGES[lead.locale]) {
+    member.language = MAILCHIMP_LANGUAGES[lead.locale];
+  }
+
+  const upsertResponse = await callMailchimp(memberPath, "PUT", member, options.signal);
+
+  if (!upsertResponse.ok) {
+    const errorMessage = await getMailchimpErrorMessage(upsertResponse);
+    throw new Error(`Mailchimp upsert failed (${upsertResponse.status}): ${errorMessage}`);
+  }
+
+  const tags = getLeadTags(lead);
+  if (tags.length) {
+    const tagsResponse = await callMailchimp(
+      `${memberPath}/tags`,
+      "POST",
+      { tags: tags.map((name) => ({ name, status: "active" })) },
+      options.signal
+    );
+
+    if (!tagsResponse.ok) {
+      const errorMessage = await getMailchimpErrorMessage(tagsResponse);
+      throw new Error(`Mailchimp tagging failed (${tagsResponse.status}): ${errorMessage}`);
+    }
+  }
+
+  return { skipped: false, action: "upserted", tags };
+}
+
+async function unsubscribeFromMailchimp(lead, options = {}) {
+  const skipReason = getMailchimpSkipReason();
+  if (skipReason) {
+    return { skipped: true, reason: skipReason };
+  }
+
+  const response = await callMailchimp(
+    `/lists/${encodeURIComponent(MAILCHIMP_AUDIENCE_ID)}/members/${getSubscriberHash(lead.email)}`,
+    "PATCH",
+    { status: "unsubscribed" },
+    options.signal
+  );
+
+  if (response.status === 404) {
+    return { skipped: true, reason: "member is not in the audience" };
+  }
+
+  if (!response.ok) {
+    const errorMessage = await getMailchimpErrorMessage(response);
+    throw new Error(`Mailchimp unsubscribe failed (${response.status}): ${errorMessage}`);
+  }
+
+  return { skipped: false, action: "unsubscribed" };
+}
+
+const mailchimpSink = {
+  name: "mailchimp",
+  policy: "best-effort",
+  getSkipReason: (lead) =>
+    lead.quote ? "quote requests are not added to the audience" : getMailchimpSkipReason(),
+  run: syncLeadToMailchimp,
+  unsubscribe: unsubscribeFromMailchimp,
+};
+
+module.exports = {
+  mailchimpSink,
+  syncLeadToMailchimp,
+  unsubscribeFromMailchimp,
+};
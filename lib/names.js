@@ -0,0 +1,16 @@
+function splitName(name) {
+  const normalized = name.replace(/\s+/g, " ").trim();
+  if (!normalized) {
+    return { firstName: "", lastName: "" };
+  }
+
+  const [firstName, ...rest] = normalized.split(" ");
+  return {
+    firstName,
+    lastName: rest.join(" "),
+  };
+}
+
+module.exports = {
+  splitName,
+};
@@ -0,0 +1,30 @@
+const { isCronRequest, isStaffRequest } = require("./auth");
+const { json } = require("./http");
+const { isOutboxStoreShared } = require("./outbox");
+const { processOutbox } = require("./sinks");
+
+async function handleOutboxWorker(request) {
+  if (request.method !== "GET" && request.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET, POST" });
+  }
+
+  if (!isCronRequest(request) && !isStaffRequest(request)) {
+    return json(401, { ok: false, error: "Unauthorized." });
+  }
+
+  // This run would start from an empty outbox of its own; failing makes that show in the cron log.
+  if (!isOutboxStoreShared()) {
+    console.error(
+      "[outbox] The outbox is in this instance's temp folder; plug in a shared store with " +
+        "setOutboxStore() for scheduled retries."
+    );
+    return json(503, { ok: false, error: "The outbox is not shared on this deployment." });
+  }
+
+  const summary = await processOutbox();
+  return json(200, { ok: true, ...summary });
+}
+
+module.exports = {
+  handleOutboxWorker,
+};
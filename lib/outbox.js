@@ -0,0 +1,187 @@
+const crypto = require("node:crypto");
+const { isDataDirShared, readJsonFile, updateJsonFile } = require("./storage");
+
+const OUTBOX_FILE = "outbox.json";
+const DEAD_LETTER_FILE = "dead-letter.json";
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const OUTBOX_BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS || 30 * 1000);
+const OUTBOX_MAX_DELAY_MS = Number(process.env.OUTBOX_MAX_DELAY_MS || 6 * 60 * 60 * 1000);
+
+// Each queue, "outbox" and "dead-letter", is `{ entries: [] }`. `update(queue, updater)` must run
+// the updater on that queue's current entries and save the `value` it returns before another
+// update can read it.
+function createFileOutboxStore(
+  files = { outbox: OUTBOX_FILE, "dead-letter": DEAD_LETTER_FILE }
+) {
+  return {
+    shared: isDataDirShared(),
+    read(queue) {
+      return readJsonFile(files[queue], { entries: [] });
+    },
+    update(queue, updater) {
+      return updateJsonFile(files[queue], { entries: [] }, updater);
+    },
+  };
+}
+
+let outboxStore = null;
+
+function getOutboxStore() {
+  if (!outboxStore) {
+    outboxStore = createFileOutboxStore();
+  }
+  return outboxStore;
+}
+
+// Swaps both queues for anything with `read(queue)` and `update(queue, updater)`, such as a
+// database the scheduled worker can reach from any instance. Stores are taken to be shared unless
+// they set `shared: false`.
+function setOutboxStore(store) {
+  outboxStore = store;
+}
+
+// Whether the worker that drains the outbox sees the entries every instance queues. The default
+// file on Netlify and Vercel is per instance, and the scheduled worker runs on a fresh one.
+function isOutboxStoreShared() {
+  return getOutboxStore().shared !== false;
+}
+
+function computeNextAttemptAt(attempts, retryAfterMs = 0, now = Date.now()) {
+  const backoff = Math.min(
+    OUTBOX_MAX_DELAY_MS,
+    OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1)
+  );
+  const jitter = Math.round(backoff * 0.1 * Math.random());
+  return new Date(now + Math.max(backoff + jitter, retryAfterMs)).toISOString();
+}
+
+function addDeadLetter(entry) {
+  const deadLetter = { ...entry, deadLetteredAt: new Date().toISOString() };
+  return getOutboxStore().update("dead-letter", (store) => {
+    store.entries.push(deadLetter);
+    return { value: store, result: deadLetter };
+  });
+}
+
+async function enqueueFailure({ sink, lead, error, status = 0, retryable, retryAfterMs = 0 }) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    sink,
+    lead,
+    attempts: 1,
+    createdAt: now,
+    lastAttemptAt: now,
+    lastError: error,
+    lastStatus: status,
+    nextAttemptAt: null,
+  };
+
+  if (!retryable || OUTBOX_MAX_ATTEMPTS <= 1) {
+    return { queue: "dead-letter", entry: await addDeadLetter(entry) };
+  }
+
+  entry.nextAttemptAt = computeNextAttemptAt(entry.attempts, retryAfterMs);
+  await getOutboxStore().update("outbox", (store) => {
+    store.entries.push(entry);
+    return { value: store, result: entry };
+  });
+  return { queue: "outbox", entry };
+}
+
+async function listOutbox() {
+  const store = await getOutboxStore().read("outbox");
+  return store.entries;
+}
+
+async function listDeadLetters() {
+  const store = await getOutboxStore().read("dead-letter");
+  return store.entries;
+}
+
+async function listDueEntries(now = Date.now()) {
+  const entries = await listOutbox();
+  return entries.filter((entry) => Date.parse(entry.nextAttemptAt) <= now);
+}
+
+async function recordAttempt(id, outcome) {
+  const now = new Date().toISOString();
+  const result = await getOutboxStore().update("outbox", (store) => {
+    const index = store.entries.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return { value: store, result: { state: "missing" } };
+    }
+
+    const entry = store.entries[index];
+    entry.attempts += 1;
+    entry.lastAttemptAt = now;
+
+    if (outcome.ok) {
+      store.entries.splice(index, 1);
+      return { value: store, result: { state: "delivered", entry } };
+    }
+
+    entry.lastError = outcome.error;
+    entry.lastStatus = outcome.status || 0;
+    if (!outcome.retryable || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      store.entries.splice(index, 1);
+      return { value: store, result: { state: "dead-letter", entry } };
+    }
+
+    entry.nextAttemptAt = computeNextAttemptAt(entry.attempts, outcome.retryAfterMs);
+    return { value: store, result: { state: "rescheduled", entry } };
+  });
+
+  if (result.state === "dead-letter") {
+    await addDeadLetter({ ...result.entry, nextAttemptAt: null });
+  }
+
+  return result;
+}
+
+async function replayDeadLetters(filters = {}) {
+  const matches = (entry) =>
+    (!filters.id || entry.id === filters.id) &&
+    (!filters.sink || entry.sink === filters.sink) &&
+    (!filters.email || entry.lead.email === filters.email.toLowerCase());
+
+  const replayed = await getOutboxStore().update("dead-letter", (store) => {
+    const selected = store.entries.filter(matches);
+    store.entries = store.entries.filter((entry) => !matches(entry));
+    return { value: store, result: selected };
+  });
+
+  if (!replayed.length) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  const requeued = replayed.map(({ deadLetteredAt, ...entry }) => ({
+    ...entry,
+    attempts: 0,
+    nextAttemptAt: now,
+    replayedAt: now,
+  }));
+
+  await getOutboxStore().update("outbox", (store) => {
+    store.entries.push(...requeued);
+    return { value: store, result: null };
+  });
+
+  return requeued;
+}
+
+module.exports = {
+  OUTBOX_MAX_ATTEMPTS,
+  computeNextAttemptAt,
+  createFileOutboxStore,
+  enqueueFailure,
+  getOutboxStore,
+  isOutboxStoreShared,
+  listDeadLetters,
+  listDueEntries,
+  listOutbox,
+  recordAttempt,
+  replayDeadLetters,
+  setOutboxStore,
+};
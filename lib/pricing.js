@@ -0,0 +1,276 @@
+const PRICING_CONFIG = require("../config/pricing.json");
+const { json, parseRequestBody, readList, readString } = require("./http");
+const { getRequestLocale, translate } = require("./i18n");
+
+const SQUARE_FEET_PER_SQUARE_METER = 10.7639;
+const DEFAULT_MAX_SQUARE_FEET = 10000;
+const DEFAULT_MAX_ROOMS = 20;
+const ADD_ON_ID_PATTERN = /^[a-z][a-z-]{0,31}$/;
+const MAX_ADD_ONS = 10;
+
+// Units visitors write in the size field, after accents are stripped ("m²" reads as "m2").
+const SIZE_UNITS = [
+  {
+    unit: "squareFeet",
+    pattern: /^(sq\.?\s*(ft|feet|foot)|sqft|ft2?|feet|foot|square\s*f(ee|oo)t|pes|pies)\b/,
+  },
+  {
+    unit: "squareMeters",
+    pattern: /^(m2?|sq\.?\s*m|sqm|square\s*met(er|re)s?|met(er|re)s?|metros?)\b/,
+  },
+  {
+    unit: "rooms",
+    pattern: /^(rooms?|bedrooms?|quartos?|comodos?|ambientes?|habitaciones?|cuartos?)\b/,
+  },
+];
+
+const ESTIMATE_ERRORS = {
+  unavailable: { statusCode: 503, errorKey: "api.error.estimateUnavailable" },
+  serviceType: { statusCode: 400, field: "tipo", errorKey: "api.error.estimateServiceType" },
+  size: { statusCode: 400, field: "tamanho", errorKey: "api.error.estimateSize" },
+  large: { statusCode: 400, field: "tamanho", errorKey: "api.error.estimateLarge" },
+  addOns: { statusCode: 400, field: "extras", errorKey: "api.error.addOns" },
+};
+
+let pricingConfig;
+
+function isPrice(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function readAddOnPrices(value, path, problems) {
+  const prices = new Map();
+  for (const [id, price] of Object.entries(value || {})) {
+    if (!ADD_ON_ID_PATTERN.test(id) || !isPrice(price)) {
+      problems.push(`${path}.${id} must be a price under a lowercase id`);
+      continue;
+    }
+    prices.set(id, price);
+  }
+  return prices;
+}
+
+function normalizePricingConfig(config) {
+  const problems = [];
+  const currency = String(config.currency || "").toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    problems.push("currency must be a code such as USD");
+  }
+
+  const rangePercent = config.rangePercent === undefined ? 15 : config.rangePercent;
+  if (!isPrice(rangePercent) || rangePercent >= 100) {
+    problems.push("rangePercent must be between 0 and 99");
+  }
+
+  const roundTo = config.roundTo === undefined ? 5 : config.roundTo;
+  if (!(isPrice(roundTo) && roundTo > 0)) {
+    problems.push("roundTo must be a positive amount");
+  }
+
+  const addOns = readAddOnPrices(config.addOns, "addOns", problems);
+  const serviceTypes = new Map();
+  for (const [serviceType, rule] of Object.entries(config.serviceTypes || {})) {
+    const fields = ["baseFee", "perSquareFoot", "perRoom", "minimum"];
+    const missing = fields.filter((field) => !isPrice(rule && rule[field]));
+    if (missing.length) {
+      problems.push(`serviceTypes.${serviceType} needs ${missing.join(", ")}`);
+      continue;
+    }
+
+    const path = `serviceTypes.${serviceType}.addOns`;
+    const overrides = readAddOnPrices(rule.addOns, path, problems);
+    for (const id of overrides.keys()) {
+      if (!addOns.has(id)) {
+        problems.push(`${path}.${id} is not in addOns`);
+      }
+    }
+
+    serviceTypes.set(serviceType, {
+      baseFee: rule.baseFee,
+      perSquareFoot: rule.perSquareFoot,
+      perRoom: rule.perRoom,
+      minimum: rule.minimum,
+      maxSquareFeet: isPrice(rule.maxSquareFeet) ? rule.maxSquareFeet : DEFAULT_MAX_SQUARE_FEET,
+      maxRooms: isPrice(rule.maxRooms) ? rule.maxRooms : DEFAULT_MAX_ROOMS,
+      addOns: new Map([...addOns, ...overrides]),
+    });
+  }
+  if (!serviceTypes.size) {
+    problems.push("serviceTypes must price at least one type of cleaning");
+  }
+
+  if (problems.length) {
+    return { problems };
+  }
+
+  return { problems, config: { currency, rangePercent, roundTo, serviceTypes } };
+}
+
+// A broken config turns the estimator off rather than quoting wrong prices.
+function getPricingConfig() {
+  if (pricingConfig === undefined) {
+    const { problems, config } = normalizePricingConfig(PRICING_CONFIG || {});
+    if (problems.length) {
+      console.error("[pricing] Price estimates are off: %s.", problems.join("; "));
+    }
+    pricingConfig = config || null;
+  }
+  return pricingConfig;
+}
+
+// A separator followed by exactly three digits groups thousands, whichever one the visitor's
+// language uses: "1,200" and "1.200" are twelve hundred, "80,5" and "80.5" eighty and a half.
+function parseAmount(text) {
+  let amount;
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    amount = Number(text.replace(/,/g, ""));
+  } else if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) {
+    amount = Number(text.replace(/\./g, "").replace(",", "."));
+  } else {
+    amount = Number(text.replace(",", "."));
+  }
+  return Number.isFinite(amount) ? amount : null;
+}
+
+// Reads the free-text size field, e.g. "80 m2", "1,200 sq ft" or "3 quartos".
+// The first number followed by a known unit wins; a bare number is too ambiguous to price.
+function parseSize(value) {
+  const text = String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/²/g, "2")
+    .toLowerCase();
+
+  for (const match of text.matchAll(/(\d[\d.,]*)\s*([^\d]*)/g)) {
+    const amount = parseAmount(match[1].replace(/[.,]$/, ""));
+    const found = SIZE_UNITS.find((entry) => entry.pattern.test(match[2].trim()));
+    if (!found || !(amount > 0)) {
+      continue;
+    }
+
+    if (found.unit === "rooms") {
+      return { unit: "rooms", value: amount, rooms: Math.ceil(amount) };
+    }
+    const squareFeet =
+      found.unit === "squareMeters" ? amount * SQUARE_FEET_PER_SQUARE_METER : amount;
+    return { unit: found.unit, value: amount, squareFeet: Math.round(squareFeet) };
+  }
+
+  return null;
+}
+
+function roundDown(amount, step) {
+  return Math.floor(amount / step) * step;
+}
+
+function roundUp(amount, step) {
+  return Math.ceil(amount / step) * step;
+}
+
+// The cleaning is priced from a base fee plus size, raised to the type's minimum; add-ons go on
+// top. The range spreads that price by rangePercent either way but never drops below the minimum.
+function estimatePrice({ serviceType, size, addOns = [] }) {
+  const config = getPricingConfig();
+  if (!config) {
+    return { ok: false, reason: "unavailable" };
+  }
+
+  const rule = config.serviceTypes.get(serviceType);
+  if (!rule) {
+    return { ok: false, reason: "serviceType" };
+  }
+
+  const parsedSize = typeof size === "string" ? parseSize(size) : size;
+  if (!parsedSize) {
+    return { ok: false, reason: "size" };
+  }
+
+  const byRoom = parsedSize.unit === "rooms";
+  if (byRoom ? parsedSize.rooms > rule.maxRooms : parsedSize.squareFeet > rule.maxSquareFeet) {
+    return { ok: false, reason: "large" };
+  }
+
+  if (addOns.some((id) => !rule.addOns.has(id))) {
+    return { ok: false, reason: "addOns" };
+  }
+
+  const sizeCharge = byRoom
+    ? parsedSize.rooms * rule.perRoom
+    : parsedSize.squareFeet * rule.perSquareFoot;
+  const cleaning = rule.baseFee + sizeCharge;
+  const chosenAddOns = Array.from(new Set(addOns)).map((id) => ({
+    id,
+    price: rule.addOns.get(id),
+  }));
+  const addOnTotal = chosenAddOns.reduce((total, addOn) => total + addOn.price, 0);
+  const price = Math.max(cleaning, rule.minimum) + addOnTotal;
+  const spread = config.rangePercent / 100;
+
+  return {
+    ok: true,
+    estimate: {
+      currency: config.currency,
+      low: Math.max(roundDown(price * (1 - spread), config.roundTo), rule.minimum + addOnTotal),
+      high: roundUp(price * (1 + spread), config.roundTo),
+      serviceType,
+      size: parsedSize,
+      addOns: chosenAddOns,
+      minimumApplied: cleaning < rule.minimum,
+    },
+  };
+}
+
+// Add-ons arrive as ids from the form's checkboxes. Unknown ids are only a problem for the
+// estimate, so the quote request can still store them for the team.
+function readAddOns(source) {
+  const addOns = readList(source, "extras");
+  const valid = addOns.length <= MAX_ADD_ONS && addOns.every((id) => ADD_ON_ID_PATTERN.test(id));
+  return valid ? Array.from(new Set(addOns)) : null;
+}
+
+function estimateError(reason, locale) {
+  const { statusCode, field, errorKey } = ESTIMATE_ERRORS[reason];
+  return json(statusCode, { ok: false, reason, error: translate(locale, errorKey), field });
+}
+
+async function handleEstimate(request) {
+  if (request.method === "OPTIONS") {
+    return json(204, {}, { Allow: "POST, OPTIONS" });
+  }
+
+  if (request.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+  }
+
+  let locale = getRequestLocale(request);
+  const body = parseRequestBody(request, locale);
+  if (!body.ok) {
+    return body.response;
+  }
+
+  const parsed = body.value;
+  locale = getRequestLocale(request, readString(parsed, "locale"));
+  const addOns = readAddOns(parsed);
+  if (!addOns) {
+    return estimateError("addOns", locale);
+  }
+
+  const result = estimatePrice({
+    serviceType: readString(parsed, "tipo"),
+    size: readString(parsed, "tamanho"),
+    addOns,
+  });
+  if (!result.ok) {
+    return estimateError(result.reason, locale);
+  }
+
+  return json(200, { ok: true, estimate: result.estimate });
+}
+
+module.exports = {
+  estimatePrice,
+  getPricingConfig,
+  handleEstimate,
+  parseSize,
+  readAddOns,
+};
@@ -0,0 +1,242 @@
+const { getCampaignCouponPolicy } = require("./campaigns");
+const { issueCoupon } = require("./coupons");
+const { getLinkBaseUrl, json } = require("./http");
+const { DEFAULT_LOCALE, translate } = require("./i18n");
+const { getLeadStore } = require("./lead-store");
+const { createSignedToken, isSigningConfigured, verifySignedToken } = require("./signed-token");
+const { runSinks } = require("./sinks");
+const { isMailConfigured, sendMail } = require("./smtp");
+const { isSuppressed } = require("./suppression");
+const { buildUnsubscribeUrl, getListUnsubscribeHeaders } = require("./unsubscribe");
+
+const PROMO_DOUBLE_OPT_IN = (process.env.PROMO_DOUBLE_OPT_IN || "").trim().toLowerCase() === "true";
+const PROMO_CONFIRM_TTL_HOURS = Number(process.env.PROMO_CONFIRM_TTL_HOURS || 48);
+const CONFIRM_TOKEN_PURPOSE = "promo-confirm";
+const CONFIRM_PAGE_PATH = "/promo-email/";
+
+const CONFIRM_STATUS_CODES = {
+  confirmed: 200,
+  already: 200,
+  expired: 410,
+  invalid: 400,
+  error: 502,
+};
+
+function isDoubleOptInEnabled() {
+  return PROMO_DOUBLE_OPT_IN;
+}
+
+// What keeps the confirmation email from going out. The links are built from PUBLIC_BASE_URL
+// alone, so that a forged Host header can't point a real email at another site.
+function getDoubleOptInProblems() {
+  const problems = [];
+  if (!getLinkBaseUrl()) {
+    problems.push("PUBLIC_BASE_URL is not configured");
+  }
+  if (!isSigningConfigured()) {
+    problems.push("LINK_SIGNING_SECRET is not configured");
+  }
+  if (!isMailConfigured()) {
+    problems.push("SMTP_HOST and SMTP_FROM are not configured");
+  }
+  return problems;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function getConfirmPagePath(campaignId) {
+  return campaignId ? `/promo/${encodeURIComponent(campaignId)}/` : CONFIRM_PAGE_PATH;
+}
+
+// Sent in the language the lead signed up in; leads from before localization get English.
+function buildConfirmationEmail(lead, confirmUrl, unsubscribeUrl) {
+  const locale = lead.locale || DEFAULT_LOCALE;
+  const firstName = lead.name.split(/\s+/)[0];
+  const discount = translate(locale, "email.confirm.discount", {
+    percent: getCampaignCouponPolicy(lead.campaign).discountPercent,
+  });
+  const greeting = translate(locale, "email.confirm.greeting", { name: firstName });
+  const intro = translate(locale, "email.confirm.intro", { discount });
+  const expires = translate(locale, "email.confirm.expires", { hours: PROMO_CONFIRM_TTL_HOURS });
+  const ignore = translate(locale, "email.confirm.ignore");
+  const unsubscribe = translate(locale, "email.confirm.unsubscribe");
+
+  return {
+    subject: translate(locale, "email.confirm.subject", { discount }),
+    text: [
+      greeting,
+      "",
+      `${intro}:`,
+      "",
+      confirmUrl,
+      "",
+      expires,
+      ignore,
+      "",
+      `${unsubscribe}: ${unsubscribeUrl}`,
+    ].join("\n"),
+    html: [
+      `<p>${escapeHtml(greeting)}</p>`,
+      `<p>${escapeHtml(intro)}.</p>`,
+      `<p><a href="${escapeHtml(confirmUrl)}">${escapeHtml(
+        translate(locale, "email.confirm.button")
+      )}</a></p>`,
+      `<p>${escapeHtml(expires)}</p>`,
+      `<p>${escapeHtml(ignore)}</p>`,
+      `<p><a href="${escapeHtml(unsubscribeUrl)}">${escapeHtml(unsubscribe)}</a></p>`,
+    ].join("\n"),
+  };
+}
+
+async function recordPendingLead(lead) {
+  const store = getLeadStore();
+  const { record } = await store.recordSubmission({ ...lead, optIn: "pending" });
+  if (!record.optIn || record.optIn.status !== "confirmed") {
+    await store.update(lead.email, { optIn: { status: "pending", requestedAt: lead.createdAt } });
+  }
+}
+
+async function sendConfirmationEmail(lead) {
+  const token = createSignedToken(
+    CONFIRM_TOKEN_PURPOSE,
+    lead.campaign ? { email: lead.email, campaign: lead.campaign } : { email: lead.email },
+    PROMO_CONFIRM_TTL_HOURS * 60 * 60 * 1000
+  );
+  const query = new URLSearchParams({ token });
+  const confirmUrl = `${getLinkBaseUrl()}/api/promo-lead/confirm?${query.toString()}`;
+
+  const unsubscribeUrl = buildUnsubscribeUrl(lead.email);
+
+  return sendMail({
+    to: lead.email,
+    headers: getListUnsubscribeHeaders(unsubscribeUrl),
+    ...buildConfirmationEmail(lead, confirmUrl, unsubscribeUrl),
+  });
+}
+
+function confirmResponse(request, status, coupon, campaignId) {
+  const accept = request.headers.accept || "";
+  if (accept.includes("application/json")) {
+    return json(CONFIRM_STATUS_CODES[status], {
+      ok: Boolean(coupon),
+      status,
+      ...(coupon
+        ? {
+            coupon: coupon.code,
+            discountPercent: coupon.discountPercent,
+            expiresAt: coupon.expiresAt,
+          }
+        : {}),
+    });
+  }
+
+  const params = new URLSearchParams({ confirm: status });
+  if (coupon) {
+    params.set("coupon", coupon.code);
+    params.set("discount", String(coupon.discountPercent));
+    if (coupon.expiresAt) {
+      params.set("expires", coupon.expiresAt);
+    }
+  }
+
+  return {
+    statusCode: 303,
+    headers: {
+      Location: `${getConfirmPagePath(campaignId)}?${params.toString()}`,
+      "Cache-Control": "no-store",
+      "Referrer-Policy": "no-referrer",
+    },
+    body: "",
+  };
+}
+
+async function confirmLead(email, campaignId) {
+  const store = getLeadStore();
+  const record = await store.get(email);
+  if (!record) {
+    return { status: "invalid" };
+  }
+
+  // Each campaign has its own coupon policy, so the link carries the campaign it was sent for.
+  const policy = getCampaignCouponPolicy(campaignId);
+  const submissions = record.submissions.slice().reverse();
+  const pending = submissions.filter((entry) => entry.optIn === "pending");
+  const submission =
+    pending.find((entry) => (entry.campaign || "") === campaignId) || pending[0] || submissions[0];
+
+  const wasConfirmed = Boolean(record.optIn && record.optIn.status === "confirmed");
+  const lastConfirmedAt = wasConfirmed ? Date.parse(record.optIn.confirmedAt) : NaN;
+  // A repeat click, or an older link: signups after the confirmation still need confirming.
+  if (lastConfirmedAt >= Date.parse(submission.createdAt)) {
+    const { coupon } = await issueCoupon(email, policy);
+    return { status: "already", coupon };
+  }
+
+  const { coupon } = await issueCoupon(email, policy);
+  const confirmedAt = new Date().toISOString();
+  const lead = { ...submission, coupon: coupon.code, optIn: "confirmed", confirmedAt };
+
+  if (await isSuppressed(email)) {
+    console.log("[promo-confirm] %s is on the suppression list; skipping CRM sync.", email);
+  } else {
+    // Pending signups never reached the sinks, so the first confirmation is when the lead is new.
+    const created = !wasConfirmed && record.submissions.every((entry) => entry.optIn === "pending");
+    const delivery = await runSinks(lead, {
+      logPrefix: "promo-confirm",
+      notify: created,
+      events: [created ? "lead.created" : "lead.updated"],
+    });
+    if (!delivery.ok) {
+      return { status: "error" };
+    }
+  }
+
+  await store.update(email, {
+    coupon: coupon.code,
+    optIn: {
+      status: "confirmed",
+      requestedAt: (record.optIn && record.optIn.requestedAt) || submission.createdAt,
+      confirmedAt,
+    },
+  });
+  console.log("[promo-confirm] %s confirmed.", email);
+
+  return { status: "confirmed", coupon };
+}
+
+async function handlePromoLeadConfirm(request) {
+  if (request.method !== "GET") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET" });
+  }
+
+  let campaignId = "";
+  try {
+    const verified = verifySignedToken(request.query.get("token"), CONFIRM_TOKEN_PURPOSE);
+    if (!verified.ok) {
+      return confirmResponse(request, verified.reason);
+    }
+
+    campaignId = String(verified.data.campaign || "");
+    const { status, coupon } = await confirmLead(String(verified.data.email || ""), campaignId);
+    return confirmResponse(request, status, coupon, campaignId);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[promo-confirm] Unable to confirm lead: %s", message);
+    return confirmResponse(request, "error", null, campaignId);
+  }
+}
+
+module.exports = {
+  getDoubleOptInProblems,
+  handlePromoLeadConfirm,
+  isDoubleOptInEnabled,
+  recordPendingLead,
+  sendConfirmationEmail,
+};
@@ -0,0 +1,207 @@
+const { readAttribution } = require("./attribution");
+const {
+  closedCampaignResponse,
+  getCampaign,
+  getCampaignCouponPolicy,
+  getCampaignState,
+} = require("./campaigns");
+const { issueCoupon } = require("./coupons");
+const { checkEmailQuality } = require("./email-quality");
+const { checkFormGuard, withOriginPolicy } = require("./form-guard");
+const { json, parseRequestBody, readString } = require("./http");
+const { getRequestLocale, translate } = require("./i18n");
+const { checkRateLimit, getRateLimitHeaders } = require("./rate-limit");
+const { getLeadStore } = require("./lead-store");
+const {
+  getDoubleOptInProblems,
+  isDoubleOptInEnabled,
+  recordPendingLead,
+  sendConfirmationEmail,
+} = require("./promo-confirm");
+const { runSinks } = require("./sinks");
+const { isSuppressed } = require("./suppression");
+
+function tooManyRequests(limit, locale) {
+  return json(
+    429,
+    { ok: false, error: translate(locale, "api.error.tooManyRequests") },
+    getRateLimitHeaders(limit)
+  );
+}
+
+async function requestConfirmation(lead) {
+  // Answering 202 would ask the visitor to wait for an email that can't be sent.
+  const problems = getDoubleOptInProblems();
+  if (problems.length) {
+    console.error("[promo-lead] Unable to send confirmation emails: %s.", problems.join("; "));
+    return json(503, {
+      ok: false,
+      error: translate(lead.locale, "api.error.confirmationEmail"),
+    });
+  }
+
+  let suppressed;
+  try {
+    suppressed = await isSuppressed(lead.email);
+    await recordPendingLead(lead);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[promo-lead] Unable to store pending lead: %s", message);
+    return json(500, { ok: false, error: translate(lead.locale, "api.error.saveLead") });
+  }
+
+  console.log("[promo-lead] pending %s", JSON.stringify(lead));
+
+  // Answer exactly as for anyone else so the form does not reveal who has opted out.
+  if (suppressed) {
+    console.log("[promo-lead] %s is on the suppression list; not emailing.", lead.email);
+    return json(202, { ok: true, pending: true });
+  }
+
+  try {
+    await sendConfirmationEmail(lead);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[promo-lead] Unable to send confirmation email: %s", message);
+    return json(502, {
+      ok: false,
+      error: translate(lead.locale, "api.error.confirmationEmail"),
+    });
+  }
+
+  return json(202, { ok: true, pending: true });
+}
+
+async function handlePromoLead(request) {
+  if (request.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+  }
+
+  const ip = request.ip || "unknown";
+  let locale = getRequestLocale(request);
+  const ipLimit = await checkRateLimit("ip", "promo-lead", ip);
+  if (ipLimit.limited) {
+    return tooManyRequests(ipLimit, locale);
+  }
+
+  const body = parseRequestBody(request, locale);
+  if (!body.ok) {
+    return body.response;
+  }
+
+  const parsed = body.value;
+  locale = getRequestLocale(request, readString(parsed, "locale"));
+  const name = readString(parsed, "name");
+  const email = readString(parsed, "email");
+  const source = readString(parsed, "source");
+  const createdAtClient = readString(parsed, "createdAt") || new Date().toISOString();
+  const pagePath = readString(parsed, "pagePath");
+  const userAgent = readString(parsed, "userAgent") || String(request.headers["user-agent"] || "");
+  const company = readString(parsed, "company");
+
+  if (company) {
+    return json(200, { ok: true });
+  }
+
+  if (name.length < 2) {
+    return json(400, { ok: false, error: translate(locale, "api.error.name") });
+  }
+
+  const emailQuality = await checkEmailQuality(email);
+  if (!emailQuality.ok) {
+    return json(400, {
+      ok: false,
+      error: translate(locale, emailQuality.errorKey),
+      field: "email",
+      reason: emailQuality.reason,
+      suggestion: emailQuality.suggestion,
+    });
+  }
+
+  const campaignId = readString(parsed, "campaign");
+  const campaign = campaignId ? getCampaign(campaignId) : null;
+  if (campaignId) {
+    const state = getCampaignState(campaign);
+    if (state !== "open") {
+      return closedCampaignResponse(campaign, state, locale);
+    }
+  }
+
+  const guard = await checkFormGuard(request, parsed);
+  if (!guard.ok) {
+    console.warn("[promo-lead] Rejected a submission from %s: %s", ip, guard.reason);
+    return guard.silent
+      ? json(200, { ok: true })
+      : json(guard.statusCode || 400, { ok: false, error: translate(locale, guard.errorKey) });
+  }
+
+  const emailLimit = await checkRateLimit("email", "promo-lead", email);
+  if (emailLimit.limited) {
+    return tooManyRequests(emailLimit, locale);
+  }
+
+  const lead = {
+    name,
+    email: email.toLowerCase(),
+    source: source || "promo-email",
+    createdAt: new Date().toISOString(),
+    createdAtClient,
+    pagePath: pagePath || "/promo-email/",
+    userAgent,
+    ip,
+    locale,
+  };
+
+  if (campaign) {
+    lead.campaign = campaign.id;
+  }
+
+  const attribution = readAttribution(parsed.attribution);
+  if (attribution) {
+    lead.attribution = attribution;
+  }
+
+  if (isDoubleOptInEnabled()) {
+    return requestConfirmation(lead);
+  }
+
+  let coupon;
+  let suppressed;
+  let created;
+  try {
+    suppressed = await isSuppressed(lead.email);
+    ({ coupon } = await issueCoupon(lead.email, getCampaignCouponPolicy(lead.campaign)));
+    lead.coupon = coupon.code;
+    ({ created } = await getLeadStore().recordSubmission(lead));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[promo-lead] Unable to store lead: %s", message);
+    return json(500, { ok: false, error: translate(locale, "api.error.saveLead") });
+  }
+
+  console.log("[promo-lead] %s", JSON.stringify(lead));
+
+  if (suppressed) {
+    console.log("[promo-lead] %s is on the suppression list; skipping CRM sync.", lead.email);
+  } else {
+    const delivery = await runSinks(lead, {
+      logPrefix: "promo-lead",
+      notify: created,
+      events: [created ? "lead.created" : "lead.updated"],
+    });
+    if (!delivery.ok) {
+      return json(502, { ok: false, error: translate(locale, "api.error.saveLead") });
+    }
+  }
+
+  return json(200, {
+    ok: true,
+    coupon: coupon.code,
+    discountPercent: coupon.discountPercent,
+    expiresAt: coupon.expiresAt,
+  });
+}
+
+module.exports = {
+  handlePromoLead: withOriginPolicy(handlePromoLead),
+};
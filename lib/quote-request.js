@@ -0,0 +1,270 @@
+const { readAttribution } = require("./attribution");
+const { BOOKING_ERRORS, cancelBooking, confirmBooking } = require("./booking");
+const { checkEmailQuality } = require("./email-quality");
+const { checkFormGuard, withOriginPolicy } = require("./form-guard");
+const { isFormEncoded, json, parseRequestBody, readString } = require("./http");
+const { getRequestLocale, translate } = require("./i18n");
+const { checkRateLimit, getRateLimitHeaders } = require("./rate-limit");
+const { getLeadStore } = require("./lead-store");
+const { estimatePrice, readAddOns } = require("./pricing");
+const { runSinks } = require("./sinks");
+const { isSuppressed } = require("./suppression");
+const { isValidEmail, normalizePhone } = require("./validation");
+
+const SERVICE_TYPES = ["Residential", "Commercial", "Post-construction", "Deep cleaning", "Other"];
+const MAX_FIELD_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+const FORM_REDIRECT_PATH = "/";
+
+function wantsRedirect(request) {
+  const accept = request.headers.accept || "";
+  return isFormEncoded(request) && !accept.includes("application/json");
+}
+
+function respond(request, statusCode, payload, extraHeaders = {}) {
+  if (!wantsRedirect(request)) {
+    return json(statusCode, payload, extraHeaders);
+  }
+
+  const status = payload.ok ? "sent" : "error";
+  return {
+    statusCode: 303,
+    headers: {
+      Location: `${FORM_REDIRECT_PATH}?quote=${status}#formulario`,
+      "Cache-Control": "no-store",
+    },
+    body: "",
+  };
+}
+
+function tooManyRequests(request, limit, locale) {
+  return respond(
+    request,
+    429,
+    { ok: false, error: translate(locale, "api.error.tooManyRequests") },
+    getRateLimitHeaders(limit)
+  );
+}
+
+// Returns the form field to highlight and the catalog key of its message.
+function validateQuote(fields) {
+  if (fields.name.length < 2 || fields.name.length > MAX_FIELD_LENGTH) {
+    return { field: "nome", errorKey: "api.error.name" };
+  }
+
+  if (!fields.phone) {
+    return { field: "whats", errorKey: "api.error.phone" };
+  }
+
+  if (!isValidEmail(fields.email)) {
+    return { field: "email", errorKey: "api.error.email" };
+  }
+
+  if (!SERVICE_TYPES.includes(fields.serviceType)) {
+    return { field: "tipo", errorKey: "api.error.serviceType" };
+  }
+
+  if (fields.size.length > MAX_FIELD_LENGTH) {
+    return { field: "tamanho", errorKey: "api.error.size" };
+  }
+
+  if (fields.location.length < 2 || fields.location.length > MAX_FIELD_LENGTH) {
+    return { field: "local", errorKey: "api.error.location" };
+  }
+
+  if (fields.desiredDate.length > MAX_FIELD_LENGTH) {
+    return { field: "data", errorKey: "api.error.date" };
+  }
+
+  if (!fields.addOns) {
+    return { field: "extras", errorKey: "api.error.addOns" };
+  }
+
+  if (fields.notes.length > MAX_NOTES_LENGTH) {
+    return { field: "obs", errorKey: "api.error.notes" };
+  }
+
+  return null;
+}
+
+async function handleQuoteRequest(request) {
+  if (request.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+  }
+
+  const ip = request.ip || "unknown";
+  let locale = getRequestLocale(request);
+  const ipLimit = await checkRateLimit("ip", "quote-request", ip);
+  if (ipLimit.limited) {
+    return tooManyRequests(request, ipLimit, locale);
+  }
+
+  const body = parseRequestBody(request, locale);
+  if (!body.ok) {
+    return body.response;
+  }
+
+  const parsed = body.value;
+  locale = getRequestLocale(request, readString(parsed, "locale"));
+  if (readString(parsed, "bot-field") || readString(parsed, "company")) {
+    return respond(request, 200, { ok: true });
+  }
+
+  const fields = {
+    name: readString(parsed, "nome"),
+    phone: normalizePhone(readString(parsed, "whats")),
+    email: readString(parsed, "email"),
+    serviceType: readString(parsed, "tipo"),
+    size: readString(parsed, "tamanho"),
+    location: readString(parsed, "local"),
+    desiredDate: readString(parsed, "data"),
+    addOns: readAddOns(parsed),
+    notes: readString(parsed, "obs"),
+  };
+
+  const invalid = validateQuote(fields);
+  if (invalid) {
+    const error = translate(locale, invalid.errorKey);
+    return respond(request, 400, { ok: false, error, field: invalid.field });
+  }
+
+  // Format is checked above with the other fields; this adds throwaway and mail-less domains.
+  const emailQuality = await checkEmailQuality(fields.email);
+  if (!emailQuality.ok) {
+    return respond(request, 400, {
+      ok: false,
+      error: translate(locale, emailQuality.errorKey),
+      field: "email",
+      reason: emailQuality.reason,
+      suggestion: emailQuality.suggestion,
+    });
+  }
+
+  // The form on the landing page still posts when JavaScript is off.
+  const guard = await checkFormGuard(request, parsed, { allowNoScript: true });
+  if (!guard.ok) {
+    console.warn("[quote-request] Rejected a submission from %s: %s", ip, guard.reason);
+    return guard.silent
+      ? respond(request, 200, { ok: true })
+      : respond(request, guard.statusCode || 400, {
+          ok: false,
+          error: translate(locale, guard.errorKey),
+        });
+  }
+
+  if (guard.noScript) {
+    const noScriptLimit = await checkRateLimit("noScript", "quote-request", ip);
+    if (noScriptLimit.limited) {
+      return tooManyRequests(request, noScriptLimit, locale);
+    }
+  }
+
+  const emailLimit = await checkRateLimit("email", "quote-request", fields.email);
+  if (emailLimit.limited) {
+    return tooManyRequests(request, emailLimit, locale);
+  }
+
+  // A time picked on the form was only held; sending the form books it.
+  let booking = null;
+  const bookingId = readString(parsed, "booking");
+  if (bookingId) {
+    const confirmed = await confirmBooking(bookingId, {
+      serviceType: fields.serviceType,
+      email: fields.email,
+      name: fields.name,
+    });
+    if (!confirmed.ok) {
+      const { statusCode, errorKey } = BOOKING_ERRORS[confirmed.reason];
+      const error = translate(locale, errorKey);
+      return respond(request, statusCode, { ok: false, error, field: "data" });
+    }
+    booking = confirmed.booking;
+  }
+
+  const lead = {
+    name: fields.name,
+    email: fields.email.toLowerCase(),
+    phone: fields.phone,
+    source: "quote-form",
+    createdAt: new Date().toISOString(),
+    createdAtClient: readString(parsed, "createdAt") || new Date().toISOString(),
+    pagePath: readString(parsed, "pagePath") || "/",
+    userAgent: String(request.headers["user-agent"] || ""),
+    ip,
+    locale,
+    quote: {
+      serviceType: fields.serviceType,
+      size: fields.size,
+      location: fields.location,
+      desiredDate: fields.desiredDate,
+      addOns: fields.addOns,
+      notes: fields.notes,
+    },
+  };
+
+  // The same range the form showed live; sizes the estimator can't read are quoted by hand.
+  const priced = estimatePrice(fields);
+  if (priced.ok) {
+    const { currency, low, high } = priced.estimate;
+    lead.quote.estimate = { currency, low, high };
+  }
+
+  if (booking) {
+    lead.quote.booking = {
+      id: booking.id,
+      startsAt: booking.startsAt,
+      endsAt: booking.endsAt,
+      crewId: booking.crewId,
+    };
+  }
+
+  const attribution = readAttribution(parsed.attribution);
+  if (attribution) {
+    lead.attribution = attribution;
+  }
+
+  let created;
+  let suppressed;
+  try {
+    suppressed = await isSuppressed(lead.email);
+    ({ created } = await getLeadStore().recordSubmission(lead));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[quote-request] Unable to store lead: %s", message);
+    if (booking) {
+      await cancelBooking(booking.id).catch(() => {});
+    }
+    return respond(request, 500, {
+      ok: false,
+      error: translate(locale, "api.error.quoteRequest"),
+    });
+  }
+
+  console.log("[quote-request] %s", JSON.stringify(lead));
+
+  // The quote is kept in the lead store, where the team sees it, but an address that opted out is
+  // not synced to the CRMs again.
+  if (suppressed) {
+    console.log("[quote-request] %s is on the suppression list; skipping CRM sync.", lead.email);
+    return respond(request, 200, { ok: true });
+  }
+
+  const delivery = await runSinks(lead, {
+    logPrefix: "quote-request",
+    notify: created,
+    events: [created ? "lead.created" : "lead.updated", "quote.requested"],
+  });
+  if (!delivery.ok) {
+    return respond(request, 502, {
+      ok: false,
+      error: translate(locale, "api.error.quoteRequest"),
+    });
+  }
+
+  return respond(request, 200, { ok: true });
+}
+
+module.exports = {
+  SERVICE_TYPES,
+  handleQuoteRequest: withOriginPolicy(handleQuoteRequest),
+};
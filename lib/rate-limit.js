@@ -0,0 +1,212 @@
+const crypto = require("node:crypto");
+
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000);
+const RATE_LIMIT_IP_MAX = Number(process.env.RATE_LIMIT_IP_MAX || 5);
+const RATE_LIMIT_EMAIL_MAX = Number(process.env.RATE_LIMIT_EMAIL_MAX || 3);
+const RATE_LIMIT_HOLD_MAX = Number(process.env.RATE_LIMIT_HOLD_MAX || 20);
+const RATE_LIMIT_NOSCRIPT_MAX = Number(process.env.RATE_LIMIT_NOSCRIPT_MAX || 2);
+const RATE_LIMIT_SWEEP_MS = Number(process.env.RATE_LIMIT_SWEEP_MS || 60 * 1000);
+const RATE_LIMIT_REDIS_REST_URL = (process.env.RATE_LIMIT_REDIS_REST_URL || "").replace(/\/+$/, "");
+const RATE_LIMIT_REDIS_REST_TOKEN = (process.env.RATE_LIMIT_REDIS_REST_TOKEN || "").trim();
+
+const RATE_LIMITS = {
+  ip: { max: RATE_LIMIT_IP_MAX, windowMs: RATE_LIMIT_WINDOW_MS },
+  email: { max: RATE_LIMIT_EMAIL_MAX, windowMs: RATE_LIMIT_WINDOW_MS },
+  hold: { max: RATE_LIMIT_HOLD_MAX, windowMs: RATE_LIMIT_WINDOW_MS },
+  // Form posts without a fill-time token, which only the quote form accepts.
+  noScript: { max: RATE_LIMIT_NOSCRIPT_MAX, windowMs: RATE_LIMIT_WINDOW_MS },
+};
+
+function createMemoryRateLimitStore({ sweepIntervalMs = RATE_LIMIT_SWEEP_MS } = {}) {
+  const buckets = new Map();
+
+  function sweep(now = Date.now()) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+
+      bucket.count += 1;
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+    async peek(key) {
+      const bucket = buckets.get(key);
+      return bucket && bucket.resetAt > Date.now()
+        ? { count: bucket.count, resetAt: bucket.resetAt }
+        : null;
+    },
+    sweep,
+    size() {
+      return buckets.size;
+    },
+  };
+}
+
+function createRedisRestRateLimitStore({ url, token }) {
+  return {
+    async hit(key, windowMs) {
+      const redisKey = `ratelimit:${key}`;
+      const response = await fetch(`${url}/pipeline`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify([
+          ["INCR", redisKey],
+          ["PEXPIRE", redisKey, String(windowMs), "NX"],
+          ["PTTL", redisKey],
+        ]),
+        signal: AbortSignal.timeout(2000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Rate limit store responded ${response.status}`);
+      }
+
+      const [incr, , pttl] = await response.json();
+      const ttl = Number(pttl && pttl.result);
+      return {
+        count: Number(incr && incr.result),
+        resetAt: Date.now() + (ttl > 0 ? ttl : windowMs),
+      };
+    },
+    async peek(key) {
+      const redisKey = `ratelimit:${key}`;
+      const response = await fetch(`${url}/pipeline`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify([
+          ["GET", redisKey],
+          ["PTTL", redisKey],
+        ]),
+        signal: AbortSignal.timeout(2000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Rate limit store responded ${response.status}`);
+      }
+
+      const [get, pttl] = await response.json();
+      const ttl = Number(pttl && pttl.result);
+      return get && get.result !== null && ttl > 0
+        ? { count: Number(get.result), resetAt: Date.now() + ttl }
+        : null;
+    },
+  };
+}
+
+let rateLimitStore = null;
+
+function getRateLimitStore() {
+  if (!rateLimitStore) {
+    rateLimitStore =
+      RATE_LIMIT_REDIS_REST_URL && RATE_LIMIT_REDIS_REST_TOKEN
+        ? createRedisRestRateLimitStore({
+            url: RATE_LIMIT_REDIS_REST_URL,
+            token: RATE_LIMIT_REDIS_REST_TOKEN,
+          })
+        : createMemoryRateLimitStore();
+  }
+  return rateLimitStore;
+}
+
+function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
+
+function hashKey(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 32);
+}
+
+function getLimitKey(kind, scope, value) {
+  return `${scope}:${kind}:${kind === "email" ? hashKey(value.toLowerCase()) : value}`;
+}
+
+function toLimitResult(limit, hit, limited) {
+  return {
+    limited,
+    limit: limit.max,
+    remaining: Math.max(0, limit.max - hit.count),
+    resetAt: hit.resetAt,
+    windowMs: limit.windowMs,
+  };
+}
+
+async function checkRateLimit(kind, scope, value) {
+  const limit = RATE_LIMITS[kind];
+  if (!limit || limit.max <= 0) {
+    return { limited: false };
+  }
+
+  let hit;
+  try {
+    hit = await getRateLimitStore().hit(getLimitKey(kind, scope, value), limit.windowMs);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn("[rate-limit] Store error, allowing request: %s", message);
+    return { limited: false };
+  }
+
+  return toLimitResult(limit, hit, hit.count > limit.max);
+}
+
+// Whether the limit is used up, without counting this request. For limits that only count some
+// outcomes, such as failed sign-ins: peek first, and `checkRateLimit` once the outcome is known.
+// Stores without `peek(key)` never report a limit here.
+async function peekRateLimit(kind, scope, value) {
+  const limit = RATE_LIMITS[kind];
+  const store = getRateLimitStore();
+  if (!limit || limit.max <= 0 || typeof store.peek !== "function") {
+    return { limited: false };
+  }
+
+  let hit;
+  try {
+    hit = await store.peek(getLimitKey(kind, scope, value));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn("[rate-limit] Store error, allowing request: %s", message);
+    return { limited: false };
+  }
+
+  return hit ? toLimitResult(limit, hit, hit.count >= limit.max) : { limited: false };
+}
+
+function getRateLimitHeaders(result, now = Date.now()) {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - now) / 1000));
+  return {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(resetSeconds),
+    "RateLimit-Policy": `${result.limit};w=${Math.round(result.windowMs / 1000)}`,
+    "Retry-After": String(resetSeconds),
+  };
+}
+
+module.exports = {
+  checkRateLimit,
+  createMemoryRateLimitStore,
+  createRedisRestRateLimitStore,
+  getRateLimitHeaders,
+  getRateLimitStore,
+  peekRateLimit,
+  setRateLimitStore,
+};
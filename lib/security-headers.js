@@ -0,0 +1,165 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { PAGES } = require("./build");
+const { getCaptchaOrigins } = require("./form-guard");
+
+const SOURCE_DIR = process.cwd();
+const GOOGLE_FONTS_CSS = "https://fonts.googleapis.com";
+const GOOGLE_FONTS_FILES = "https://fonts.gstatic.com";
+const NOINDEX_PATHS = ["/promo-email", "/promo-email/*", "/promo/*", "/admin", "/admin/*"];
+const NETLIFY_MARKER =
+  "# Headers below are generated by `node server.js headers` from lib/security-headers.js.";
+
+const INLINE_BLOCK_PATTERNS = {
+  script: /<script>([\s\S]*?)<\/script>/g,
+  style: /<style>([\s\S]*?)<\/style>/g,
+};
+
+let headerRules;
+
+function hashInlineBlock(content) {
+  return `'sha256-${crypto.createHash("sha256").update(content, "utf8").digest("base64")}'`;
+}
+
+// The built pages load their scripts and styles as files, but the source pages still inline
+// them, so their hashes keep `STATIC_DIR=.` previews working under the same policy. PAGES is also
+// what `isPublicPath` lets server.js serve, so every page that can be served is hashed.
+async function collectInlineHashes() {
+  const hashes = { script: new Set(), style: new Set() };
+  for (const page of PAGES) {
+    const html = await fs.readFile(path.join(SOURCE_DIR, page.file), "utf8");
+    for (const [kind, pattern] of Object.entries(INLINE_BLOCK_PATTERNS)) {
+      for (const match of html.matchAll(pattern)) {
+        hashes[kind].add(hashInlineBlock(match[1]));
+      }
+    }
+  }
+  return { script: [...hashes.script].sort(), style: [...hashes.style].sort() };
+}
+
+// The CAPTCHA widget, when CAPTCHA_PROVIDER is set, runs its script in a frame from its own origin.
+function buildContentSecurityPolicy(hashes) {
+  const captcha = getCaptchaOrigins();
+  const directives = [
+    ["default-src", "'self'"],
+    ["script-src", "'self'", ...captcha, ...hashes.script],
+    ["style-src", "'self'", GOOGLE_FONTS_CSS, ...captcha, ...hashes.style],
+    ["font-src", "'self'", GOOGLE_FONTS_FILES],
+    // The stylesheets draw their icons with data: SVGs.
+    ["img-src", "'self'", "data:"],
+    ["connect-src", "'self'", ...captcha],
+    ...(captcha.length ? [["frame-src", ...captcha]] : []),
+    ["form-action", "'self'"],
+    ["frame-ancestors", "'none'"],
+    ["base-uri", "'self'"],
+    ["object-src", "'none'"],
+  ];
+  return directives.map((directive) => directive.join(" ")).join("; ");
+}
+
+async function buildHeaderRules() {
+  const securityHeaders = {
+    "Content-Security-Policy": buildContentSecurityPolicy(await collectInlineHashes()),
+    "Strict-Transport-Security": "max-age=31536000; includeSubDomains",
+    "Referrer-Policy": "strict-origin-when-cross-origin",
+    "Permissions-Policy":
+      "camera=(), microphone=(), geolocation=(), payment=(), usb=(), browsing-topics=()",
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Cross-Origin-Opener-Policy": "same-origin",
+  };
+
+  return [
+    { path: "/*", headers: securityHeaders },
+    ...NOINDEX_PATHS.map((rulePath) => ({
+      path: rulePath,
+      headers: { "X-Robots-Tag": "noindex, nofollow" },
+    })),
+  ];
+}
+
+// Rules use Netlify's path syntax: exact paths, or a trailing `*` for everything below.
+function getHeaderRules() {
+  if (!headerRules) {
+    headerRules = buildHeaderRules().catch((error) => {
+      headerRules = null;
+      throw error;
+    });
+  }
+  return headerRules;
+}
+
+function matchesRulePath(rulePath, routePath) {
+  return rulePath.endsWith("*")
+    ? routePath.startsWith(rulePath.slice(0, -1))
+    : routePath === rulePath;
+}
+
+async function getHeadersForPath(routePath) {
+  const rules = await getHeaderRules();
+  return rules
+    .filter((rule) => matchesRulePath(rule.path, routePath))
+    .reduce((headers, rule) => ({ ...headers, ...rule.headers }), {});
+}
+
+function renderNetlifyHeaders(rules) {
+  const blocks = rules.map((rule) =>
+    [
+      "[[headers]]",
+      `  for = ${JSON.stringify(rule.path)}`,
+      "  [headers.values]",
+      ...Object.entries(rule.headers).map(
+        ([name, value]) => `    ${name} = ${JSON.stringify(value)}`
+      ),
+    ].join("\n")
+  );
+  return `${NETLIFY_MARKER}\n\n${blocks.join("\n\n")}\n`;
+}
+
+function renderVercelHeaders(rules) {
+  return rules.map((rule) => ({
+    source: rule.path.replace(/\*$/, "(.*)"),
+    headers: Object.entries(rule.headers).map(([key, value]) => ({ key, value })),
+  }));
+}
+
+async function renderNetlifyToml(rules) {
+  const current = await fs.readFile(path.join(SOURCE_DIR, "netlify.toml"), "utf8");
+  const start = current.includes(NETLIFY_MARKER)
+    ? current.indexOf(NETLIFY_MARKER)
+    : current.indexOf("[[headers]]");
+  const head = start === -1 ? `${current.trimEnd()}\n\n` : current.slice(0, start);
+  return { current, next: head + renderNetlifyHeaders(rules) };
+}
+
+async function renderVercelJson(rules) {
+  const current = await fs.readFile(path.join(SOURCE_DIR, "vercel.json"), "utf8");
+  const config = JSON.parse(current);
+  config.headers = renderVercelHeaders(rules);
+  return { current, next: `${JSON.stringify(config, null, 2)}\n` };
+}
+
+// Writes the policy into netlify.toml and vercel.json, or with `check` only reports which of
+// them no longer match it.
+async function syncHeaderConfigs({ check = false } = {}) {
+  const rules = await getHeaderRules();
+  const outputs = {
+    "netlify.toml": await renderNetlifyToml(rules),
+    "vercel.json": await renderVercelJson(rules),
+  };
+
+  const stale = Object.keys(outputs).filter((file) => outputs[file].current !== outputs[file].next);
+  if (!check) {
+    for (const file of stale) {
+      await fs.writeFile(path.join(SOURCE_DIR, file), outputs[file].next, "utf8");
+    }
+  }
+  return stale;
+}
+
+module.exports = {
+  getHeaderRules,
+  getHeadersForPath,
+  syncHeaderConfigs,
+};
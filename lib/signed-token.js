@@ -0,0 +1,56 @@
+const crypto = require("node:crypto");
+const { safeEqual } = require("./auth");
+
+const LINK_SIGNING_SECRET = (process.env.LINK_SIGNING_SECRET || "").trim();
+
+function isSigningConfigured() {
+  return Boolean(LINK_SIGNING_SECRET);
+}
+
+function sign(value) {
+  if (!LINK_SIGNING_SECRET) {
+    throw new Error("LINK_SIGNING_SECRET is not configured.");
+  }
+
+  return crypto.createHmac("sha256", LINK_SIGNING_SECRET).update(value).digest("base64url");
+}
+
+function createSignedToken(purpose, data, ttlMs) {
+  const payload = { ...data, purpose };
+  if (ttlMs > 0) {
+    payload.exp = Math.floor((Date.now() + ttlMs) / 1000);
+  }
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encoded}.${sign(encoded)}`;
+}
+
+function verifySignedToken(token, purpose) {
+  const [encoded, signature, extra] = String(token || "").split(".");
+  if (!encoded || !signature || extra !== undefined || !safeEqual(signature, sign(encoded))) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch (error) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  if (!payload || payload.purpose !== purpose) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  if (payload.exp && payload.exp * 1000 < Date.now()) {
+    return { ok: false, reason: "expired" };
+  }
+
+  return { ok: true, data: payload };
+}
+
+module.exports = {
+  createSignedToken,
+  isSigningConfigured,
+  verifySignedToken,
+};
@@ -0,0 +1,323 @@
+const { airtableSink } = require("./airtable");
+const { isRetryableError } = require("./errors");
+const { hubspotSink } = require("./hubspot");
+const { getLeadStore } = require("./lead-store");
+const { mailchimpSink } = require("./mailchimp");
+const {
+  enqueueFailure,
+  isOutboxStoreShared,
+  listDueEntries,
+  recordAttempt,
+} = require("./outbox");
+const { isSuppressed } = require("./suppression");
+const { retryWebhookDeliveries, webhookSink } = require("./webhooks");
+const { whatsappSink } = require("./whatsapp");
+
+const DEFAULT_SINK_TIMEOUT_MS = Number(process.env.SINK_TIMEOUT_MS || 10000);
+const SINK_POLICIES = ["required", "best-effort"];
+const sinks = new Map();
+
+function readSinkEnv(name, suffix) {
+  const key = `${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_SINK_${suffix}`;
+  return (process.env[key] || "").trim();
+}
+
+function registerSink(definition) {
+  if (!definition || !definition.name || typeof definition.run !== "function") {
+    throw new Error("A sink needs a name and a run(lead, options) function.");
+  }
+
+  const policy = readSinkEnv(definition.name, "POLICY") || definition.policy || "best-effort";
+  if (!SINK_POLICIES.includes(policy)) {
+    throw new Error(`Unknown policy "${policy}" for sink ${definition.name}.`);
+  }
+
+  const timeoutMs =
+    Number(readSinkEnv(definition.name, "TIMEOUT_MS")) ||
+    definition.timeoutMs ||
+    DEFAULT_SINK_TIMEOUT_MS;
+
+  sinks.set(definition.name, {
+    getSkipReason: () => "",
+    ...definition,
+    policy,
+    timeoutMs,
+  });
+}
+
+function getSinks() {
+  return Array.from(sinks.values());
+}
+
+function getErrorMessage(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+async function runSink(sink, lead, options = {}) {
+  const startedAt = Date.now();
+  const summary = { sink: sink.name, policy: sink.policy };
+
+  // Opt-outs travel through the same pipeline as leads, flagged with `unsubscribed`.
+  const handler = lead.unsubscribed ? sink.unsubscribe : sink.run;
+  if (typeof handler !== "function") {
+    return { ...summary, status: "skipped", reason: "unsubscribes are not handled", durationMs: 0 };
+  }
+
+  const skipReason = sink.getSkipReason(lead);
+  if (skipReason) {
+    return { ...summary, status: "skipped", reason: skipReason, durationMs: 0 };
+  }
+
+  const controller = new AbortController();
+  const handlerOptions = { signal: controller.signal, events: options.events };
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve({ timedOut: true });
+    }, sink.timeoutMs);
+  });
+
+  try {
+    const outcome = await Promise.race([
+      Promise.resolve(handler(lead, handlerOptions)).then((result) => ({ result })),
+      timeout,
+    ]);
+
+    if (outcome.timedOut) {
+      return {
+        ...summary,
+        status: "failed",
+        error: `Timed out after ${sink.timeoutMs}ms`,
+        retryable: true,
+        durationMs: Date.now() - startedAt,
+      };
+    }
+
+    const result = outcome.result || {};
+    if (result.skipped) {
+      return { ...summary, status: "skipped", reason: result.reason, durationMs: 0 };
+    }
+
+    return {
+      ...summary,
+      status: "ok",
+      action: result.action,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ...summary,
+      status: "failed",
+      error: getErrorMessage(error),
+      httpStatus: error && error.status ? error.status : undefined,
+      retryable: isRetryableError(error),
+      retryAfterMs: error && error.retryAfterMs ? error.retryAfterMs : undefined,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function recordSyncStatus(lead, results) {
+  const at = new Date().toISOString();
+  const sync = {};
+  for (const result of results) {
+    sync[result.sink] = {
+      status: result.status,
+      at,
+      action: result.action || null,
+      error: result.error || result.reason || null,
+    };
+  }
+
+  try {
+    await getLeadStore().update(lead.email, { sync });
+  } catch (error) {
+    console.error("[sinks] Unable to record sync status: %s", getErrorMessage(error));
+  }
+}
+
+function summarizeSyncStatus(sync) {
+  const statuses = Object.values(sync || {}).map((entry) => entry.status);
+  if (!statuses.length) {
+    return "none";
+  }
+
+  if (statuses.some((status) => status === "failed" || status === "dead-letter")) {
+    return "failed";
+  }
+
+  if (statuses.includes("queued")) {
+    return "queued";
+  }
+
+  return statuses.includes("ok") ? "ok" : "skipped";
+}
+
+async function deferFailure(sink, lead, result) {
+  if (!sink.retry || result.status !== "failed") {
+    return result;
+  }
+
+  // Queued here, the retry would sit in this instance's temp folder where no worker reads it, so
+  // the failure stands and a required sink still fails the request.
+  if (!isOutboxStoreShared()) {
+    console.error(
+      "[sinks] Not queuing a %s retry for %s: the outbox is not shared on this deployment.",
+      sink.name,
+      lead.email
+    );
+    return result;
+  }
+
+  try {
+    const { queue, entry } = await enqueueFailure({
+      sink: sink.name,
+      lead,
+      error: result.error,
+      status: result.httpStatus,
+      retryable: result.retryable,
+      retryAfterMs: result.retryAfterMs,
+    });
+    return {
+      ...result,
+      status: queue === "outbox" ? "queued" : "dead-letter",
+      nextAttemptAt: entry.nextAttemptAt,
+    };
+  } catch (error) {
+    console.error("[sinks] Unable to queue %s retry: %s", sink.name, getErrorMessage(error));
+    return result;
+  }
+}
+
+// Notification sinks such as WhatsApp are meant to fire once per new lead: pass `notify: false`
+// for anything else (a repeat submission, a resync, an unsubscribe). `events` names the webhook events the
+// submission raises, e.g. ["lead.created"]; without it no webhooks are sent.
+async function runSinks(lead, options = {}) {
+  const logPrefix = options.logPrefix || "sinks";
+  const results = await Promise.all(
+    getSinks().map(async (sink) => {
+      if (sink.notification && options.notify === false) {
+        const reason = "notifications are only sent for new leads";
+        return { sink: sink.name, policy: sink.policy, status: "skipped", reason, durationMs: 0 };
+      }
+      return deferFailure(sink, lead, await runSink(sink, lead, options));
+    })
+  );
+  const ok = !results.some((result) => result.policy === "required" && result.status === "failed");
+  const hasFailures = results.some((result) => result.status === "failed");
+
+  const log = hasFailures ? console.warn : console.log;
+  log("[%s] sinks %s", logPrefix, JSON.stringify({ email: lead.email, ok, results }));
+
+  await recordSyncStatus(lead, results);
+  return { ok, results };
+}
+
+let outboxRun = null;
+
+async function drainOutbox() {
+  const summary = { delivered: 0, rescheduled: 0, deadLettered: 0 };
+  const entries = await listDueEntries();
+
+  for (const entry of entries) {
+    const sink = sinks.get(entry.sink);
+    let result;
+    if (!sink) {
+      result = {
+        sink: entry.sink,
+        status: "failed",
+        error: `Sink ${entry.sink} is not registered`,
+        retryable: false,
+      };
+    } else if (!entry.lead.unsubscribed && (await isSuppressed(entry.lead.email))) {
+      // Never let a queued signup retry re-subscribe someone who opted out in the meantime.
+      result = { sink: entry.sink, status: "skipped", reason: "email is on the suppression list" };
+    } else {
+      result = await runSink(sink, entry.lead);
+    }
+
+    const ok = result.status === "ok";
+    const attempt = await recordAttempt(entry.id, {
+      ok,
+      error: result.error || result.reason || "",
+      status: result.httpStatus,
+      retryable: result.status === "skipped" ? false : result.retryable,
+      retryAfterMs: result.retryAfterMs,
+    });
+
+    if (attempt.state === "missing") {
+      continue;
+    }
+
+    const attempts = attempt.entry.attempts;
+    if (attempt.state === "delivered") {
+      summary.delivered += 1;
+      console.log(
+        "[outbox] %s delivered %s after %d attempts.",
+        entry.sink,
+        entry.lead.email,
+        attempts
+      );
+      await recordSyncStatus(entry.lead, [result]);
+    } else if (attempt.state === "dead-letter") {
+      summary.deadLettered += 1;
+      console.error(
+        "[outbox] %s gave up on %s after %d attempts: %s",
+        entry.sink,
+        entry.lead.email,
+        attempts,
+        attempt.entry.lastError
+      );
+      await recordSyncStatus(entry.lead, [{ ...result, status: "dead-letter" }]);
+    } else {
+      summary.rescheduled += 1;
+      console.warn(
+        "[outbox] %s retry %d for %s failed, next attempt at %s: %s",
+        entry.sink,
+        attempts,
+        entry.lead.email,
+        attempt.entry.nextAttemptAt,
+        attempt.entry.lastError
+      );
+    }
+  }
+
+  return summary;
+}
+
+// Webhook deliveries keep their own log and retry schedule, drained on the same tick.
+async function drainQueues() {
+  const summary = await drainOutbox();
+  try {
+    summary.webhooks = await retryWebhookDeliveries();
+  } catch (error) {
+    console.error("[webhooks] Unable to retry deliveries: %s", getErrorMessage(error));
+  }
+  return summary;
+}
+
+function processOutbox() {
+  if (!outboxRun) {
+    outboxRun = drainQueues().finally(() => {
+      outboxRun = null;
+    });
+  }
+  return outboxRun;
+}
+
+registerSink(hubspotSink);
+registerSink(mailchimpSink);
+registerSink(airtableSink);
+registerSink(whatsappSink);
+registerSink(webhookSink);
+
+module.exports = {
+  getSinks,
+  processOutbox,
+  registerSink,
+  runSinks,
+  summarizeSyncStatus,
+};
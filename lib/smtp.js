@@ -0,0 +1,345 @@
+const crypto = require("node:crypto");
+const net = require("node:net");
+const os = require("node:os");
+const tls = require("node:tls");
+const { SmtpError } = require("./errors");
+
+const SMTP_HOST = (process.env.SMTP_HOST || "").trim();
+const SMTP_SECURE = (process.env.SMTP_SECURE || "").trim().toLowerCase() === "true";
+const SMTP_PORT = Number(process.env.SMTP_PORT || (SMTP_SECURE ? 465 : 587));
+const SMTP_STARTTLS = (process.env.SMTP_STARTTLS || "auto").trim().toLowerCase();
+const SMTP_USER = (process.env.SMTP_USER || "").trim();
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const SMTP_FROM = (process.env.SMTP_FROM || "").trim();
+const SMTP_TIMEOUT_MS = Number(process.env.SMTP_TIMEOUT_MS || 10000);
+
+function stripLineBreaks(value) {
+  return String(value || "").replace(/[\r\n]+/g, " ").trim();
+}
+
+function getAddress(mailbox) {
+  const value = stripLineBreaks(mailbox);
+  const match = value.match(/<([^<>]+)>$/);
+  const address = (match ? match[1] : value).trim();
+  if (!address || /[\s<>]/.test(address)) {
+    throw new SmtpError(`Invalid mailbox "${value}".`);
+  }
+  return address;
+}
+
+function encodeHeader(value) {
+  const text = stripLineBreaks(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString("base64")}?=`;
+}
+
+function encodeBody(text) {
+  return Buffer.from(String(text), "utf8").toString("base64").replace(/.{1,76}/g, "$&\r\n");
+}
+
+function buildMessage({ from, to, subject, text, html, headers = {}, messageId }) {
+  const lines = [
+    `From: ${stripLineBreaks(from)}`,
+    `To: ${[].concat(to).map(stripLineBreaks).join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+  ];
+
+  for (const [key, value] of Object.entries(headers)) {
+    lines.push(`${stripLineBreaks(key)}: ${stripLineBreaks(value)}`);
+  }
+
+  if (!html) {
+    lines.push("Content-Type: text/plain; charset=utf-8", "Content-Transfer-Encoding: base64", "");
+    return `${lines.join("\r\n")}\r\n${encodeBody(text)}`;
+  }
+
+  const boundary = `bws-${crypto.randomBytes(12).toString("hex")}`;
+  lines.push(`Content-Type: multipart/alternative; boundary="${boundary}"`, "");
+  for (const [type, content] of [
+    ["text/plain", text],
+    ["text/html", html],
+  ]) {
+    lines.push(
+      `--${boundary}`,
+      `Content-Type: ${type}; charset=utf-8`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      encodeBody(content)
+    );
+  }
+  lines.push(`--${boundary}--`, "");
+  return lines.join("\r\n");
+}
+
+function createReplyReader(socket) {
+  const lines = [];
+  let buffer = "";
+  let waiting = null;
+  let failure = null;
+
+  function flush() {
+    if (!waiting) {
+      return;
+    }
+
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+      return;
+    }
+
+    // Multi-line replies use "250-" for every line but the last, which uses "250 ".
+    const end = lines.findIndex((line) => line.length <= 3 || line[3] === " ");
+    if (end === -1) {
+      return;
+    }
+
+    const reply = lines.splice(0, end + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: Number(reply[0].slice(0, 3)), lines: reply.map((line) => line.slice(4)) });
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\n")) !== -1) {
+      lines.push(buffer.slice(0, index).replace(/\r$/, ""));
+      buffer = buffer.slice(index + 1);
+    }
+    flush();
+  }
+
+  function onError(error) {
+    failure = failure || error;
+    flush();
+  }
+
+  function onClose() {
+    onError(new SmtpError("SMTP connection closed unexpectedly."));
+  }
+
+  function onTimeout() {
+    onError(new SmtpError("SMTP server stopped responding."));
+    socket.destroy();
+  }
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+  socket.on("timeout", onTimeout);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        flush();
+      });
+    },
+    detach() {
+      // Keep a listener so a late socket error cannot crash the process once we stop reading.
+      socket.on("error", () => {});
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+      socket.off("timeout", onTimeout);
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const options = { host, port, servername: net.isIP(host) ? undefined : host };
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(timeoutMs);
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      socket.off("error", reject);
+      socket.off("timeout", onTimeout);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+    socket.once("timeout", onTimeout);
+
+    function onTimeout() {
+      socket.destroy();
+      reject(new SmtpError(`Timed out connecting to ${host}:${port}.`));
+    }
+  });
+}
+
+function upgradeToTls(socket, host, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect(
+      { socket, servername: net.isIP(host) ? undefined : host },
+      () => {
+        secureSocket.off("error", reject);
+        socket.off("timeout", onTimeout);
+        secureSocket.setTimeout(timeoutMs);
+        resolve(secureSocket);
+      }
+    );
+    secureSocket.once("error", reject);
+    socket.once("timeout", onTimeout);
+
+    function onTimeout() {
+      secureSocket.destroy();
+      reject(new SmtpError("Timed out negotiating STARTTLS."));
+    }
+  });
+}
+
+function parseExtensions(reply) {
+  const extensions = new Map();
+  for (const line of reply.lines.slice(1)) {
+    const [keyword, ...params] = line.trim().split(/\s+/);
+    extensions.set(keyword.toUpperCase(), params.join(" ").toUpperCase());
+  }
+  return extensions;
+}
+
+function createSmtpTransport({
+  host,
+  port = 587,
+  secure = false,
+  startTls = "auto",
+  user = "",
+  pass = "",
+  from,
+  timeoutMs = SMTP_TIMEOUT_MS,
+  heloName = os.hostname() || "localhost",
+}) {
+  async function session(task) {
+    let socket = await connect({ host, port, secure, timeoutMs });
+    let reader = createReplyReader(socket);
+
+    async function expect(codes, label) {
+      const reply = await reader.read();
+      if (!codes.includes(reply.code)) {
+        throw new SmtpError(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(" ")}`, {
+          code: reply.code,
+        });
+      }
+      return reply;
+    }
+
+    async function command(line, codes, label = line.split(" ")[0]) {
+      socket.write(`${line}\r\n`);
+      return expect(codes, label);
+    }
+
+    try {
+      await expect([220], "greeting");
+      let extensions = parseExtensions(await command(`EHLO ${heloName}`, [250]));
+
+      const canUpgrade = extensions.has("STARTTLS");
+      if (!secure && startTls === "always" && !canUpgrade) {
+        throw new SmtpError("SMTP server does not offer STARTTLS.");
+      }
+
+      if (!secure && startTls !== "never" && canUpgrade) {
+        await command("STARTTLS", [220]);
+        reader.detach();
+        socket = await upgradeToTls(socket, host, timeoutMs);
+        reader = createReplyReader(socket);
+        extensions = parseExtensions(await command(`EHLO ${heloName}`, [250]));
+      }
+
+      if (user) {
+        const mechanisms = (extensions.get("AUTH") || "").split(" ");
+        if (mechanisms.includes("PLAIN")) {
+          const credentials = Buffer.from(`\0${user}\0${pass}`).toString("base64");
+          await command(`AUTH PLAIN ${credentials}`, [235], "AUTH PLAIN");
+        } else if (mechanisms.includes("LOGIN")) {
+          await command("AUTH LOGIN", [334]);
+          await command(Buffer.from(user).toString("base64"), [334], "AUTH LOGIN username");
+          await command(Buffer.from(pass).toString("base64"), [235], "AUTH LOGIN password");
+        } else {
+          throw new SmtpError("SMTP server does not offer AUTH PLAIN or AUTH LOGIN.");
+        }
+      }
+
+      return await task({ command, expect, write: (data) => socket.write(data) });
+    } finally {
+      reader.detach();
+      socket.destroy();
+    }
+  }
+
+  return {
+    async sendMail(message) {
+      const sender = message.from || from;
+      const recipients = [].concat(message.to);
+      const domain = getAddress(sender).split("@")[1] || "localhost";
+      const messageId = `<${crypto.randomUUID()}@${domain}>`;
+      const data = buildMessage({ ...message, from: sender, messageId });
+
+      await session(async ({ command, expect, write }) => {
+        await command(`MAIL FROM:<${getAddress(sender)}>`, [250], "MAIL FROM");
+        for (const recipient of recipients) {
+          await command(`RCPT TO:<${getAddress(recipient)}>`, [250, 251], "RCPT TO");
+        }
+        await command("DATA", [354]);
+        // Dot-stuff lines that start with "." so they are not read as the end of the message.
+        write(`${data.replace(/\r\n\./g, "\r\n..")}\r\n.\r\n`);
+        await expect([250], "message delivery");
+        await command("QUIT", [221]).catch(() => {});
+      });
+
+      return { messageId };
+    },
+  };
+}
+
+let mailTransport;
+
+function getMailTransport() {
+  if (mailTransport === undefined) {
+    mailTransport =
+      SMTP_HOST && SMTP_FROM
+        ? createSmtpTransport({
+            host: SMTP_HOST,
+            port: SMTP_PORT,
+            secure: SMTP_SECURE,
+            startTls: SMTP_STARTTLS,
+            user: SMTP_USER,
+            pass: SMTP_PASS,
+            from: SMTP_FROM,
+          })
+        : null;
+  }
+  return mailTransport;
+}
+
+function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
+function isMailConfigured() {
+  return Boolean(getMailTransport());
+}
+
+// The body is never logged: it can hold signed links that act for the recipient.
+async function sendMail(message) {
+  const transport = getMailTransport();
+  if (!transport) {
+    console.warn(
+      "[mail] SMTP_HOST and SMTP_FROM are not configured; not sending \"%s\" to %s.",
+      stripLineBreaks(message.subject),
+      [].concat(message.to).join(", ")
+    );
+    return { skipped: true, reason: "SMTP_HOST and SMTP_FROM are not configured" };
+  }
+
+  return transport.sendMail(message);
+}
+
+module.exports = {
+  createSmtpTransport,
+  getMailTransport,
+  isMailConfigured,
+  sendMail,
+  setMailTransport,
+};
@@ -0,0 +1,280 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { promisify } = require("node:util");
+const zlib = require("node:zlib");
+
+const STATIC_CACHE_MAX_BYTES = Number(process.env.STATIC_CACHE_MAX_BYTES || 32 * 1024 * 1024);
+const MIN_COMPRESS_BYTES = 1024;
+// Build output names files like `app.3f9a1c2b.js`; a new version always gets a new name.
+const FINGERPRINT_PATTERN = /\.[0-9a-f]{8,}\.[a-z0-9]+$/i;
+const IMMUTABLE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+// Everything else may change under the same URL, so browsers revalidate (cheaply, with a 304).
+const REVALIDATE_CACHE_CONTROL = "no-cache";
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+};
+
+// Images are already compressed; squeezing them again only costs CPU.
+const COMPRESSIBLE_EXTENSIONS = new Set([".html", ".css", ".js", ".json", ".svg"]);
+
+const ENCODINGS = [
+  {
+    name: "br",
+    compress: promisify(zlib.brotliCompress),
+    options: (size) => ({
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+      },
+    }),
+  },
+  {
+    name: "gzip",
+    compress: promisify(zlib.gzip),
+    options: () => ({ level: zlib.constants.Z_BEST_COMPRESSION }),
+  },
+];
+
+const cache = new Map();
+let cacheBytes = 0;
+
+function forget(filePath) {
+  const entry = cache.get(filePath);
+  if (entry) {
+    cacheBytes -= entry.bytes;
+    cache.delete(filePath);
+  }
+}
+
+function remember(filePath, entry) {
+  forget(filePath);
+  if (entry.bytes > STATIC_CACHE_MAX_BYTES / 4) {
+    return;
+  }
+
+  cache.set(filePath, entry);
+  cacheBytes += entry.bytes;
+  // Maps keep insertion order and hits are re-inserted, so the first key is the least recent.
+  for (const key of cache.keys()) {
+    if (cacheBytes <= STATIC_CACHE_MAX_BYTES) {
+      break;
+    }
+    forget(key);
+  }
+}
+
+// Every request stats the file, so an edit is picked up on the next load without a restart.
+async function loadFile(filePath) {
+  const stats = await fs.stat(filePath);
+  if (!stats.isFile()) {
+    const error = new Error(`${filePath} is not a file`);
+    error.code = "ENOENT";
+    throw error;
+  }
+
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    cache.delete(filePath);
+    cache.set(filePath, cached);
+    return cached;
+  }
+
+  const content = await fs.readFile(filePath);
+  const extension = path.extname(filePath).toLowerCase();
+  const hash = crypto.createHash("sha1").update(content).digest("base64url").slice(0, 20);
+  const entry = {
+    content,
+    size: content.length,
+    mtimeMs: stats.mtimeMs,
+    etag: `"${hash}"`,
+    lastModified: new Date(Math.floor(stats.mtimeMs / 1000) * 1000),
+    type: MIME_TYPES[extension] || "application/octet-stream",
+    compressible: COMPRESSIBLE_EXTENSIONS.has(extension) && content.length >= MIN_COMPRESS_BYTES,
+    immutable: FINGERPRINT_PATTERN.test(path.basename(filePath)),
+    encoded: new Map(),
+    bytes: content.length,
+  };
+  remember(filePath, entry);
+  return entry;
+}
+
+async function getEncodedBody(filePath, entry, encoding) {
+  if (!entry.encoded.has(encoding.name)) {
+    const body = await encoding.compress(entry.content, encoding.options(entry.size));
+    entry.encoded.set(encoding.name, body);
+    if (cache.get(filePath) === entry) {
+      entry.bytes += body.length;
+      cacheBytes += body.length;
+    }
+  }
+  return entry.encoded.get(encoding.name);
+}
+
+function chooseEncoding(header) {
+  const weights = new Map();
+  for (const part of String(header || "").split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    const quality = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+    if (name) {
+      weights.set(name, quality ? Number(quality.slice(2)) : 1);
+    }
+  }
+
+  let best = null;
+  let bestWeight = 0;
+  for (const encoding of ENCODINGS) {
+    const weight = weights.has(encoding.name) ? weights.get(encoding.name) : weights.get("*") || 0;
+    if (weight > bestWeight) {
+      best = encoding;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+// Compressed copies carry the encoding in their ETag, but they revalidate against the same file.
+function stripEtag(tag) {
+  return tag
+    .trim()
+    .replace(/^W\//, "")
+    .replace(/-(br|gzip)"$/, '"');
+}
+
+function isNotModified(req, entry) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch.split(",").some((tag) => stripEtag(tag) === entry.etag)
+    );
+  }
+
+  const since = Date.parse(req.headers["if-modified-since"] || "");
+  return !Number.isNaN(since) && entry.lastModified.getTime() <= since;
+}
+
+// If-Range only allows a partial response while the client's copy is still current.
+function isRangeCurrent(req, entry) {
+  const ifRange = (req.headers["if-range"] || "").trim();
+  if (!ifRange) {
+    return true;
+  }
+
+  if (ifRange.startsWith('"')) {
+    return ifRange === entry.etag;
+  }
+  return Date.parse(ifRange) === entry.lastModified.getTime();
+}
+
+// Only a single byte range is served; multi-range or malformed headers get the whole file.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  if (!match[1]) {
+    const length = Number(match[2]);
+    return length > 0 && size > 0
+      ? { start: Math.max(0, size - length), end: size - 1 }
+      : { unsatisfiable: true };
+  }
+
+  const start = Number(match[1]);
+  if (match[2] && Number(match[2]) < start) {
+    return null;
+  }
+  if (start >= size) {
+    return { unsatisfiable: true };
+  }
+  return { start, end: match[2] ? Math.min(Number(match[2]), size - 1) : size - 1 };
+}
+
+function sendText(res, statusCode, text, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "text/plain; charset=utf-8", ...headers });
+  res.end(text);
+}
+
+async function serveStaticFile(req, res, filePath, extraHeaders = {}) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    sendText(res, 405, "Method Not Allowed", { Allow: "GET, HEAD" });
+    return;
+  }
+
+  let entry;
+  try {
+    entry = await loadFile(filePath);
+  } catch (error) {
+    forget(filePath);
+    if (error && (error.code === "ENOENT" || error.code === "ENOTDIR")) {
+      sendText(res, 404, "Not Found");
+    } else {
+      sendText(res, 500, "Internal Server Error");
+    }
+    return;
+  }
+
+  // Ranges always address the uncompressed bytes, so a range request is never compressed.
+  const encoding =
+    entry.compressible && !req.headers.range
+      ? chooseEncoding(req.headers["accept-encoding"])
+      : null;
+  const etag = encoding ? entry.etag.replace(/"$/, `-${encoding.name}"`) : entry.etag;
+  const validators = {
+    ETag: etag,
+    "Cache-Control": entry.immutable ? IMMUTABLE_CACHE_CONTROL : REVALIDATE_CACHE_CONTROL,
+    "Last-Modified": entry.lastModified.toUTCString(),
+    ...(entry.compressible ? { Vary: "Accept-Encoding" } : {}),
+    ...extraHeaders,
+  };
+
+  if (isNotModified(req, entry)) {
+    res.writeHead(304, validators);
+    res.end();
+    return;
+  }
+
+  const headers = {
+    "Content-Type": entry.type,
+    "Accept-Ranges": "bytes",
+    "X-Content-Type-Options": "nosniff",
+    ...validators,
+  };
+  const range =
+    req.headers.range && isRangeCurrent(req, entry)
+      ? parseRange(req.headers.range, entry.size)
+      : null;
+  if (range && range.unsatisfiable) {
+    sendText(res, 416, "Range Not Satisfiable", { "Content-Range": `bytes */${entry.size}` });
+    return;
+  }
+
+  let statusCode = 200;
+  let body = entry.content;
+  if (range) {
+    statusCode = 206;
+    body = entry.content.subarray(range.start, range.end + 1);
+    headers["Content-Range"] = `bytes ${range.start}-${range.end}/${entry.size}`;
+  } else if (encoding) {
+    body = await getEncodedBody(filePath, entry, encoding);
+    headers["Content-Encoding"] = encoding.name;
+  }
+
+  res.writeHead(statusCode, { ...headers, "Content-Length": body.length });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+module.exports = {
+  serveStaticFile,
+};
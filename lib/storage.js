@@ -0,0 +1,71 @@
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+
+const IS_SERVERLESS = Boolean(process.env.NETLIFY || process.env.VERCEL);
+const DATA_DIR = path.resolve(
+  process.env.DATA_DIR ||
+    (IS_SERVERLESS ? path.join(os.tmpdir(), "best-way-services") : path.join(process.cwd(), "data"))
+);
+const fileQueues = new Map();
+
+// On Netlify and Vercel the default DATA_DIR is the instance's temp folder: every instance has its
+// own, and it is emptied on a cold start. A DATA_DIR set by hand is taken to be shared.
+function isDataDirShared() {
+  return !IS_SERVERLESS || Boolean(process.env.DATA_DIR);
+}
+
+function resolveDataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+function withFileLock(fileName, task) {
+  const previous = fileQueues.get(fileName) || Promise.resolve();
+  const next = previous.then(task, task);
+  const settled = next.catch(() => {});
+  fileQueues.set(fileName, settled);
+  settled.then(() => {
+    if (fileQueues.get(fileName) === settled) {
+      fileQueues.delete(fileName);
+    }
+  });
+  return next;
+}
+
+async function readJsonFile(fileName, fallback) {
+  try {
+    const raw = await fs.readFile(resolveDataPath(fileName), "utf8");
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+async function writeJsonFile(fileName, value) {
+  const filePath = resolveDataPath(fileName);
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(value, null, 2), "utf8");
+  await fs.rename(tempPath, filePath);
+}
+
+function updateJsonFile(fileName, fallback, updater) {
+  return withFileLock(fileName, async () => {
+    const current = await readJsonFile(fileName, fallback);
+    const { value, result } = await updater(current);
+    await writeJsonFile(fileName, value);
+    return result;
+  });
+}
+
+module.exports = {
+  DATA_DIR,
+  isDataDirShared,
+  readJsonFile,
+  resolveDataPath,
+  updateJsonFile,
+  withFileLock,
+};
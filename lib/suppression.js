@@ -0,0 +1,61 @@
+const { readJsonFile, updateJsonFile } = require("./storage");
+
+const SUPPRESSIONS_FILE = "suppressions.json";
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+async function getSuppression(email) {
+  const store = await readJsonFile(SUPPRESSIONS_FILE, { suppressions: {} });
+  return store.suppressions[normalizeEmail(email)] || null;
+}
+
+async function isSuppressed(email) {
+  return Boolean(await getSuppression(email));
+}
+
+async function listSuppressions() {
+  const store = await readJsonFile(SUPPRESSIONS_FILE, { suppressions: {} });
+  return Object.values(store.suppressions).sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+}
+
+function suppressEmail(email, { reason = "unsubscribed", source = "" } = {}) {
+  const normalizedEmail = normalizeEmail(email);
+
+  return updateJsonFile(SUPPRESSIONS_FILE, { suppressions: {} }, (store) => {
+    const existing = store.suppressions[normalizedEmail];
+    if (existing) {
+      return { value: store, result: { created: false, suppression: existing } };
+    }
+
+    const suppression = {
+      email: normalizedEmail,
+      reason,
+      source,
+      at: new Date().toISOString(),
+    };
+    store.suppressions[normalizedEmail] = suppression;
+    return { value: store, result: { created: true, suppression } };
+  });
+}
+
+function removeSuppression(email) {
+  const normalizedEmail = normalizeEmail(email);
+
+  return updateJsonFile(SUPPRESSIONS_FILE, { suppressions: {} }, (store) => {
+    const existing = store.suppressions[normalizedEmail] || null;
+    delete store.suppressions[normalizedEmail];
+    return { value: store, result: existing };
+  });
+}
+
+module.exports = {
+  getSuppression,
+  isSuppressed,
+  listSuppressions,
+  removeSuppression,
+  suppressEmail,
+};
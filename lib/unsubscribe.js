@@ -0,0 +1,128 @@
+const { getLinkBaseUrl, isFormEncoded, json, parseRequestBody, readString } = require("./http");
+const { getLeadStore } = require("./lead-store");
+const { createSignedToken, verifySignedToken } = require("./signed-token");
+const { runSinks } = require("./sinks");
+const { suppressEmail } = require("./suppression");
+
+const UNSUBSCRIBE_TOKEN_PURPOSE = "unsubscribe";
+const UNSUBSCRIBE_PAGE_PATH = "/promo-email/unsubscribe/";
+
+function buildUnsubscribeUrl(email) {
+  if (!getLinkBaseUrl()) {
+    throw new Error("PUBLIC_BASE_URL is not configured.");
+  }
+
+  const token = createSignedToken(UNSUBSCRIBE_TOKEN_PURPOSE, { email: email.toLowerCase() }, 0);
+  const query = new URLSearchParams({ token });
+  return `${getLinkBaseUrl()}/api/unsubscribe?${query.toString()}`;
+}
+
+function getListUnsubscribeHeaders(unsubscribeUrl) {
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+function verifyUnsubscribeToken(token) {
+  try {
+    return verifySignedToken(token, UNSUBSCRIBE_TOKEN_PURPOSE);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[unsubscribe] Unable to verify link: %s", message);
+    return { ok: false, reason: "invalid" };
+  }
+}
+
+function redirectToPage(params) {
+  return {
+    statusCode: 303,
+    headers: {
+      Location: `${UNSUBSCRIBE_PAGE_PATH}?${new URLSearchParams(params).toString()}`,
+      "Cache-Control": "no-store",
+      "Referrer-Policy": "no-referrer",
+    },
+    body: "",
+  };
+}
+
+async function unsubscribeEmail(email, source = "unsubscribe-link") {
+  const { created, suppression } = await suppressEmail(email, { reason: "unsubscribed", source });
+  if (!created) {
+    return { created, suppression };
+  }
+
+  const store = getLeadStore();
+  const record = await store.get(email);
+  const at = new Date().toISOString();
+  if (record) {
+    await store.update(email, { unsubscribedAt: at });
+  }
+
+  console.log("[unsubscribe] %s added to the suppression list.", email);
+  await runSinks(
+    {
+      email,
+      name: record ? record.name : "",
+      source: "unsubscribe",
+      createdAt: at,
+      unsubscribed: true,
+    },
+    { logPrefix: "unsubscribe", notify: false }
+  );
+  return { created, suppression };
+}
+
+async function handleUnsubscribe(request) {
+  if (request.method === "GET") {
+    const token = request.query.get("token") || "";
+    const verified = verifyUnsubscribeToken(token);
+    // Opening the link only shows the confirmation page; link scanners must not unsubscribe anyone.
+    return redirectToPage(verified.ok ? { token } : { status: "invalid" });
+  }
+
+  if (request.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed." }, { Allow: "GET, POST" });
+  }
+
+  // One-click clients (RFC 8058) POST "List-Unsubscribe=One-Click" to the link itself, so the
+  // token is in the query. The unsubscribe page sends it in the body instead.
+  let token = request.query.get("token") || "";
+  let fromPageForm = false;
+  if (!token) {
+    const parsed = parseRequestBody(request);
+    if (!parsed.ok) {
+      return parsed.response;
+    }
+    token = readString(parsed.value, "token");
+    const accept = request.headers.accept || "";
+    fromPageForm = isFormEncoded(request) && !accept.includes("application/json");
+  }
+
+  const verified = verifyUnsubscribeToken(token);
+  if (!verified.ok) {
+    return fromPageForm
+      ? redirectToPage({ status: "invalid" })
+      : json(400, { ok: false, error: "This unsubscribe link is not valid." });
+  }
+
+  const email = String(verified.data.email || "");
+  try {
+    await unsubscribeEmail(email);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("[unsubscribe] Unable to unsubscribe %s: %s", email, message);
+    return fromPageForm
+      ? redirectToPage({ status: "error" })
+      : json(500, { ok: false, error: "Unable to unsubscribe right now. Please try again." });
+  }
+
+  return fromPageForm ? redirectToPage({ status: "done" }) : json(200, { ok: true, email });
+}
+
+module.exports = {
+  buildUnsubscribeUrl,
+  getListUnsubscribeHeaders,
+  handleUnsubscribe,
+  unsubscribeEmail,
+};
@@ -0,0 +1,36 @@
+const emailCheck = require("../assets/email-check");
+
+// The pages load the same file, so the browser and the API agree on what an address looks like.
+const emailRegex = emailCheck.EMAIL_PATTERN;
+
+function isValidEmail(email) {
+  return emailCheck.check(email).ok;
+}
+
+function normalizePhone(phone) {
+  const trimmed = phone.trim();
+  if (!/^\+?[\d\s().-]+$/.test(trimmed)) {
+    return "";
+  }
+
+  const digits = trimmed.replace(/\D/g, "");
+  if (trimmed.startsWith("+")) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : "";
+  }
+
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+
+  if (digits.length === 11 && digits.startsWith("1")) {
+    return `+${digits}`;
+  }
+
+  return "";
+}
+
+module.exports = {
+  emailRegex,
+  isValidEmail,
+  normalizePhone,
+};
@@ -0,0 +1,415 @@
+const crypto = require("node:crypto");
+const { safeEqual } = require("./auth");
+const { SinkDeliveryError, isRetryableError, parseRetryAfter } = require("./errors");
+const { OUTBOX_MAX_ATTEMPTS, computeNextAttemptAt } = require("./outbox");
+const { readJsonFile, updateJsonFile } = require("./storage");
+
+const DELIVERIES_FILE = "webhook-deliveries.json";
+const WEBHOOK_SECRET = (process.env.WEBHOOK_SECRET || "").trim();
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_LOG_DAYS = Number(process.env.WEBHOOK_LOG_DAYS || 30);
+const WEBHOOK_EVENTS = ["lead.created", "lead.updated", "quote.requested"];
+const PING_EVENT = "webhook.ping";
+const SUBSCRIPTION_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_ERROR_LENGTH = 300;
+
+// Receivers get the submission, not the visitor's IP address or browser.
+const PRIVATE_LEAD_FIELDS = ["ip", "userAgent"];
+
+let webhookConfig;
+
+function readSubscription(value, index, problems) {
+  const path = `WEBHOOK_SUBSCRIPTIONS[${index}]`;
+  const id = String((value && value.id) || "");
+  if (!SUBSCRIPTION_ID_PATTERN.test(id)) {
+    problems.push(`${path}.id must be a short lowercase id`);
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(String(value.url || ""));
+  } catch (error) {
+    url = null;
+  }
+  if (!url || (url.protocol !== "https:" && url.protocol !== "http:")) {
+    problems.push(`${id}.url must be an http(s) URL`);
+  }
+
+  const events = value.events === undefined ? ["*"] : value.events;
+  if (
+    !Array.isArray(events) ||
+    !events.length ||
+    events.some((event) => event !== "*" && !WEBHOOK_EVENTS.includes(event))
+  ) {
+    problems.push(`${id}.events must list events from ${WEBHOOK_EVENTS.join(", ")} or "*"`);
+  }
+
+  const secret = String(value.secret || WEBHOOK_SECRET).trim();
+  if (secret.length < 16) {
+    problems.push(`${id} needs a secret of at least 16 characters (or set WEBHOOK_SECRET)`);
+  }
+
+  return { id, url: url ? url.toString() : "", events, secret };
+}
+
+function normalizeWebhookConfig(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    return { problems: ["WEBHOOK_SUBSCRIPTIONS is not valid JSON"] };
+  }
+
+  if (!Array.isArray(parsed)) {
+    return { problems: ["WEBHOOK_SUBSCRIPTIONS must be a JSON array"] };
+  }
+
+  const problems = [];
+  const subscriptions = new Map();
+  parsed.forEach((value, index) => {
+    const subscription = readSubscription(value, index, problems);
+    if (subscription && subscriptions.has(subscription.id)) {
+      problems.push(`${subscription.id} is listed twice`);
+    } else if (subscription) {
+      subscriptions.set(subscription.id, subscription);
+    }
+  });
+
+  if (problems.length) {
+    return { problems };
+  }
+
+  return { problems, config: { subscriptions } };
+}
+
+// One bad subscription turns all webhooks off, so a typo can't quietly drop a receiver's events.
+function getWebhookConfig() {
+  if (webhookConfig === undefined) {
+    const raw = (process.env.WEBHOOK_SUBSCRIPTIONS || "").trim();
+    const { problems, config } = raw ? normalizeWebhookConfig(raw) : { problems: [] };
+    if (problems.length) {
+      console.error("[webhooks] Webhooks are off: %s.", problems.join("; "));
+    }
+    webhookConfig = config || null;
+  }
+  return webhookConfig;
+}
+
+function getWebhookSkipReason() {
+  if (!(process.env.WEBHOOK_SUBSCRIPTIONS || "").trim()) {
+    return "WEBHOOK_SUBSCRIPTIONS is not configured";
+  }
+
+  return getWebhookConfig() ? "" : "WEBHOOK_SUBSCRIPTIONS is invalid";
+}
+
+function listSubscriptions() {
+  const config = getWebhookConfig();
+  return config ? Array.from(config.subscriptions.values()) : [];
+}
+
+function isSubscribed(subscription, event) {
+  return subscription.events.includes("*") || subscription.events.includes(event);
+}
+
+// The signature covers "<timestamp>.<body>", so a captured request can't be replayed later with a
+// fresh timestamp. Receivers should reject timestamps older than a few minutes.
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function verifyWebhookSignature({ secret, timestamp, signature, body, now = Date.now() }) {
+  const seconds = Number(timestamp);
+  if (!secret || !Number.isInteger(seconds)) {
+    return false;
+  }
+
+  if (Math.abs(now / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = `sha256=${signPayload(secret, seconds, String(body))}`;
+  return safeEqual(String(signature || ""), expected);
+}
+
+function buildEvent(type, data) {
+  return {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+function toEventLead(lead) {
+  const copy = { ...lead };
+  for (const field of PRIVATE_LEAD_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+}
+
+async function getWebhookErrorMessage(response) {
+  const raw = (await response.text()).trim();
+  return (raw || `${response.status} ${response.statusText}`.trim()).slice(0, MAX_ERROR_LENGTH);
+}
+
+// Posts one event and reports how it went; it never throws, so every attempt can be logged.
+async function sendEvent(subscription, event, signal) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "BestWayServices-Webhooks/1.0",
+        "X-Webhook-Id": event.id,
+        "X-Webhook-Event": event.type,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(subscription.secret, timestamp, body)}`,
+      },
+      body,
+      signal: signal || AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      redirect: "manual",
+    });
+
+    if (response.ok) {
+      return { ok: true, status: response.status, durationMs: Date.now() - startedAt };
+    }
+
+    const error = new SinkDeliveryError(await getWebhookErrorMessage(response), {
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+    });
+    return {
+      ok: false,
+      status: error.status,
+      error: error.message,
+      retryable: error.retryable,
+      retryAfterMs: error.retryAfterMs,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: 0,
+      error: error instanceof Error ? error.message : String(error),
+      retryable: isRetryableError(error),
+      retryAfterMs: 0,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+function pruneDeliveries(entries, now = Date.now()) {
+  const cutoff = now - WEBHOOK_LOG_DAYS * 24 * 60 * 60 * 1000;
+  return entries.filter(
+    (entry) => entry.status === "pending" || Date.parse(entry.lastAttemptAt) >= cutoff
+  );
+}
+
+// The first retry is scheduled up front, so a delivery interrupted mid-request is still retried.
+async function createDeliveries(subscriptions, event, email) {
+  const now = new Date().toISOString();
+  const retry = event.type !== PING_EVENT;
+  const deliveries = subscriptions.map((subscription) => ({
+    id: crypto.randomUUID(),
+    subscription: subscription.id,
+    event,
+    email,
+    status: "pending",
+    attempts: 0,
+    createdAt: now,
+    lastAttemptAt: now,
+    lastStatus: 0,
+    lastError: "",
+    nextAttemptAt: retry ? computeNextAttemptAt(1) : null,
+    log: [],
+  }));
+
+  await updateJsonFile(DELIVERIES_FILE, { entries: [] }, (store) => {
+    store.entries = pruneDeliveries(store.entries).concat(deliveries);
+    return { value: store, result: null };
+  });
+  return deliveries;
+}
+
+async function recordDeliveryAttempt(id, outcome, { retry = true } = {}) {
+  const now = new Date().toISOString();
+  return updateJsonFile(DELIVERIES_FILE, { entries: [] }, (store) => {
+    const entry = store.entries.find((candidate) => candidate.id === id);
+    if (!entry) {
+      return { value: store, result: null };
+    }
+
+    entry.attempts += 1;
+    entry.lastAttemptAt = now;
+    entry.lastStatus = outcome.status;
+    entry.lastError = outcome.error || "";
+    entry.log.push({
+      at: now,
+      status: outcome.status,
+      error: outcome.error || undefined,
+      durationMs: outcome.durationMs,
+    });
+
+    if (outcome.ok) {
+      entry.status = "delivered";
+      entry.nextAttemptAt = null;
+    } else if (retry && outcome.retryable && entry.attempts < OUTBOX_MAX_ATTEMPTS) {
+      entry.nextAttemptAt = computeNextAttemptAt(entry.attempts, outcome.retryAfterMs);
+    } else {
+      entry.status = "failed";
+      entry.nextAttemptAt = null;
+    }
+    return { value: store, result: { ...entry } };
+  });
+}
+
+async function deliver(delivery, subscription, options = {}) {
+  const outcome = await sendEvent(subscription, delivery.event, options.signal);
+  const entry = await recordDeliveryAttempt(delivery.id, outcome, options);
+  if (!outcome.ok) {
+    console.warn(
+      "[webhooks] %s to %s failed (%s): %s",
+      delivery.event.type,
+      subscription.id,
+      outcome.status || "no response",
+      outcome.error
+    );
+  }
+  return { outcome, entry };
+}
+
+// Sink entry point: `events` comes from the caller, since only it knows whether the lead is new.
+async function dispatchWebhooks(lead, options = {}) {
+  const events = options.events || [];
+  const skipReason = getWebhookSkipReason();
+  if (skipReason) {
+    return { skipped: true, reason: skipReason };
+  }
+
+  if (!events.length) {
+    return { skipped: true, reason: "no webhook events for this submission" };
+  }
+
+  const subscriptions = listSubscriptions();
+  const deliveries = [];
+  for (const type of events) {
+    const targets = subscriptions.filter((subscription) => isSubscribed(subscription, type));
+    if (targets.length) {
+      const event = buildEvent(type, { lead: toEventLead(lead) });
+      const created = await createDeliveries(targets, event, lead.email);
+      deliveries.push(...created.map((delivery, index) => ({ delivery, target: targets[index] })));
+    }
+  }
+
+  if (!deliveries.length) {
+    return { skipped: true, reason: `no subscriptions for ${events.join(", ")}` };
+  }
+
+  const results = await Promise.all(
+    deliveries.map(({ delivery, target }) => deliver(delivery, target, { signal: options.signal }))
+  );
+  const failed = results.filter((result) => !result.outcome.ok).length;
+  return {
+    skipped: false,
+    action: failed ? `retrying ${failed} of ${results.length}` : "delivered",
+  };
+}
+
+async function retryWebhookDeliveries(now = Date.now()) {
+  const summary = { delivered: 0, rescheduled: 0, failed: 0 };
+  const store = await readJsonFile(DELIVERIES_FILE, { entries: [] });
+  const due = store.entries.filter(
+    (entry) => entry.status === "pending" && Date.parse(entry.nextAttemptAt) <= now
+  );
+  if (!due.length) {
+    return summary;
+  }
+
+  const subscriptions = new Map(listSubscriptions().map((item) => [item.id, item]));
+  for (const delivery of due) {
+    const subscription = subscriptions.get(delivery.subscription);
+    const { entry } = subscription
+      ? await deliver(delivery, subscription)
+      : {
+          entry: await recordDeliveryAttempt(
+            delivery.id,
+            { ok: false, status: 0, error: "subscription is no longer configured", durationMs: 0 },
+            { retry: false }
+          ),
+        };
+
+    if (!entry) {
+      continue;
+    }
+    if (entry.status === "delivered") {
+      summary.delivered += 1;
+    } else if (entry.status === "failed") {
+      summary.failed += 1;
+      console.error(
+        "[webhooks] Gave up on %s to %s after %d attempts: %s",
+        entry.event.type,
+        entry.subscription,
+        entry.attempts,
+        entry.lastError
+      );
+    } else {
+      summary.rescheduled += 1;
+    }
+  }
+
+  return summary;
+}
+
+// Sends a `webhook.ping` right away, without retries, so a receiver's setup can be checked.
+async function pingWebhooks(subscriptionId = "") {
+  const subscriptions = listSubscriptions().filter(
+    (subscription) => !subscriptionId || subscription.id === subscriptionId
+  );
+  const results = [];
+  for (const subscription of subscriptions) {
+    const event = buildEvent(PING_EVENT, { subscription: subscription.id });
+    const [delivery] = await createDeliveries([subscription], event, "");
+    const { outcome } = await deliver(delivery, subscription, { retry: false });
+    results.push({ subscription: subscription.id, ...outcome });
+  }
+  return results;
+}
+
+async function listWebhookDeliveries(filters = {}) {
+  const store = await readJsonFile(DELIVERIES_FILE, { entries: [] });
+  return store.entries
+    .filter(
+      (entry) =>
+        (!filters.subscription || entry.subscription === filters.subscription) &&
+        (!filters.event || entry.event.type === filters.event) &&
+        (!filters.status || entry.status === filters.status) &&
+        (!filters.email || entry.email === filters.email.toLowerCase())
+    )
+    .reverse();
+}
+
+const webhookSink = {
+  name: "webhooks",
+  policy: "best-effort",
+  getSkipReason: getWebhookSkipReason,
+  run: dispatchWebhooks,
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  getWebhookSkipReason,
+  listSubscriptions,
+  listWebhookDeliveries,
+  pingWebhooks,
+  retryWebhookDeliveries,
+  verifyWebhookSignature,
+  webhookSink,
+};
@@ -0,0 +1,175 @@
+const { getBookingConfig } = require("./booking");
+const { SinkDeliveryError, parseRetryAfter } = require("./errors");
+
+const WHATSAPP_API_BASE = (process.env.WHATSAPP_API_BASE || "https://graph.facebook.com").replace(
+  /\/+$/,
+  ""
+);
+const WHATSAPP_API_VERSION = (process.env.WHATSAPP_API_VERSION || "v21.0").trim();
+const WHATSAPP_ACCESS_TOKEN = (process.env.WHATSAPP_ACCESS_TOKEN || "").trim();
+const WHATSAPP_PHONE_NUMBER_ID = (process.env.WHATSAPP_PHONE_NUMBER_ID || "").trim();
+const WHATSAPP_NOTIFY_TO = (process.env.WHATSAPP_NOTIFY_TO || "").replace(/\D/g, "");
+const WHATSAPP_TEMPLATE_NAME = (process.env.WHATSAPP_TEMPLATE_NAME || "").trim();
+const WHATSAPP_TEMPLATE_LANGUAGE = (process.env.WHATSAPP_TEMPLATE_LANGUAGE || "en_US").trim();
+
+// Template parameters may not contain line breaks, so template messages join the lines instead.
+const TEMPLATE_SEPARATOR = " · ";
+const MAX_TEXT_LENGTH = 4096;
+
+function getWhatsAppSkipReason() {
+  if (!WHATSAPP_ACCESS_TOKEN) {
+    return "WHATSAPP_ACCESS_TOKEN is not configured";
+  }
+
+  if (!WHATSAPP_PHONE_NUMBER_ID) {
+    return "WHATSAPP_PHONE_NUMBER_ID is not configured";
+  }
+
+  if (!WHATSAPP_NOTIFY_TO) {
+    return "WHATSAPP_NOTIFY_TO is not configured";
+  }
+
+  return "";
+}
+
+function formatBookedTime(booking) {
+  const config = getBookingConfig();
+  return new Date(booking.startsAt).toLocaleString("en-US", {
+    timeZone: config ? config.timeZone : "UTC",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+// The message is for the team, so it is always in English; the lead's language is noted instead.
+function buildNotificationLines(lead) {
+  const quote = lead.quote;
+  const lines = [quote ? "New quote request" : `New ${lead.source || "website"} lead`];
+  const add = (label, value) => {
+    if (value) {
+      lines.push(`${label}: ${value}`);
+    }
+  };
+
+  add("Name", lead.name);
+  add("Phone", lead.phone);
+  add("Email", lead.email);
+  if (quote) {
+    add("Service", [quote.serviceType, quote.size].filter(Boolean).join(", "));
+    add("Add-ons", quote.addOns && quote.addOns.join(", "));
+    add("Location", quote.location);
+    add("Booked", quote.booking && formatBookedTime(quote.booking));
+    add("Desired date", !quote.booking && quote.desiredDate);
+    add(
+      "Estimate",
+      quote.estimate && `${quote.estimate.low}-${quote.estimate.high} ${quote.estimate.currency}`
+    );
+    add("Notes", quote.notes);
+  }
+  add("Campaign", lead.campaign);
+  add("Coupon", lead.coupon);
+  add("Language", lead.locale && lead.locale !== "en" ? lead.locale : "");
+  // A tap on this opens a chat with the customer.
+  add("Chat", lead.phone && `https://wa.me/${lead.phone.replace(/\D/g, "")}`);
+  return lines;
+}
+
+function buildMessage(lead) {
+  const lines = buildNotificationLines(lead);
+  if (!WHATSAPP_TEMPLATE_NAME) {
+    return {
+      type: "text",
+      text: { body: lines.join("\n").slice(0, MAX_TEXT_LENGTH), preview_url: false },
+    };
+  }
+
+  // Messages the business starts outside a 24-hour chat window must use an approved template;
+  // it is expected to have one body variable that receives the whole summary.
+  return {
+    type: "template",
+    template: {
+      name: WHATSAPP_TEMPLATE_NAME,
+      language: { code: WHATSAPP_TEMPLATE_LANGUAGE },
+      components: [
+        {
+          type: "body",
+          parameters: [{ type: "text", text: lines.join(TEMPLATE_SEPARATOR) }],
+        },
+      ],
+    },
+  };
+}
+
+async function getWhatsAppErrorMessage(response) {
+  const raw = await response.text();
+  if (!raw) {
+    return `${response.status} ${response.statusText}`.trim();
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    const error = parsed.error;
+    return (error && (error.message || error.type)) || raw;
+  } catch (error) {
+    return raw;
+  }
+}
+
+async function notifyWhatsApp(lead, options = {}) {
+  const skipReason = getWhatsAppSkipReason();
+  if (skipReason) {
+    return { skipped: true, reason: skipReason };
+  }
+
+  const response = await fetch(
+    `${WHATSAPP_API_BASE}/${WHATSAPP_API_VERSION}/${encodeURIComponent(
+      WHATSAPP_PHONE_NUMBER_ID
+    )}/messages`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: WHATSAPP_NOTIFY_TO,
+        ...buildMessage(lead),
+      }),
+      signal: options.signal,
+    }
+  );
+
+  if (!response.ok) {
+    const errorMessage = await getWhatsAppErrorMessage(response);
+    throw new SinkDeliveryError(
+      `WhatsApp notification failed (${response.status}): ${errorMessage}`,
+      {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+      }
+    );
+  }
+
+  return { skipped: false, action: "notified" };
+}
+
+// A failed send is retried through the outbox like the HubSpot sync.
+const whatsappSink = {
+  name: "whatsapp",
+  policy: "best-effort",
+  retry: true,
+  notification: true,
+  getSkipReason: getWhatsAppSkipReason,
+  run: notifyWhatsApp,
+};
+
+module.exports = {
+  buildNotificationLines,
+  notifyWhatsApp,
+  whatsappSink,
+};
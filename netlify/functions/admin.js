@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleAdmin } = require("../../lib/admin");
+
+exports.handler = createNetlifyHandler(handleAdmin);
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleAvailability } = require("../../lib/booking");
+
+exports.handler = createNetlifyHandler(handleAvailability);
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleCampaign } = require("../../lib/campaigns");
+
+exports.handler = createNetlifyHandler(handleCampaign);
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleCouponRedeem } = require("../../lib/coupon-api");
+
+exports.handler = createNetlifyHandler(handleCouponRedeem);
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleEstimate } = require("../../lib/pricing");
+
+exports.handler = createNetlifyHandler(handleEstimate);
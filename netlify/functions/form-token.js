@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleFormToken } = require("../../lib/form-guard");
+
+exports.handler = createNetlifyHandler(handleFormToken);
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleLeadExport } = require("../../lib/lead-export");
+
+exports.handler = createNetlifyHandler(handleLeadExport);
@@ -0,0 +1,16 @@
+const { isOutboxStoreShared } = require("../../lib/outbox");
+const { processOutbox } = require("../../lib/sinks");
+
+exports.handler = async function handler() {
+  if (!isOutboxStoreShared()) {
+    console.error(
+      "[outbox] Scheduled run skipped: the outbox is in this instance's temp folder; plug in a " +
+        "shared store with setOutboxStore() for scheduled retries."
+    );
+    return { statusCode: 503, body: JSON.stringify({ ok: false, error: "Outbox not shared." }) };
+  }
+
+  const summary = await processOutbox();
+  console.log("[outbox] Scheduled run %s", JSON.stringify(summary));
+  return { statusCode: 200, body: JSON.stringify({ ok: true, ...summary }) };
+};
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handlePromoLeadConfirm } = require("../../lib/promo-confirm");
+
+exports.handler = createNetlifyHandler(handlePromoLeadConfirm);
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleQuoteRequest } = require("../../lib/quote-request");
+
+exports.handler = createNetlifyHandler(handleQuoteRequest);
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require("../../lib/adapters/netlify");
+const { handleUnsubscribe } = require("../../lib/unsubscribe");
+
+exports.handler = createNetlifyHandler(handleUnsubscribe);
@@ -1,33 +1,33 @@
 const http = require("node:http");
 const fs = require("node:fs");
 const path = require("node:path");
+const { handleAdmin } = require("./lib/admin");
+const { createNodeHandler } = require("./lib/adapters/node");
+const { handleAvailability, handleBookings } = require("./lib/booking");
+const { isPublicPath } = require("./lib/build");
+const { handleCampaign } = require("./lib/campaigns");
+const { runCli } = require("./lib/cli");
+const { handleCouponRedeem, handleCouponValidate } = require("./lib/coupon-api");
+const { handleFormToken } = require("./lib/form-guard");
+const { handleLeadExport } = require("./lib/lead-export");
+const { handlePromoLeadConfirm } = require("./lib/promo-confirm");
+const { handlePromoLead } = require("./lib/promo-lead");
+const { handleOutboxWorker } = require("./lib/outbox-worker");
+const { handleEstimate } = require("./lib/pricing");
+const { handleQuoteRequest } = require("./lib/quote-request");
+const { getHeadersForPath } = require("./lib/security-headers");
+const { serveStaticFile } = require("./lib/static-files");
+const { handleUnsubscribe } = require("./lib/unsubscribe");
+const { processOutbox } = require("./lib/sinks");
 
 const HOST = process.env.HOST || "127.0.0.1";
 const PORT = Number(process.env.PORT || 4173);
-const ROOT_DIR = process.cwd();
-const MAX_BODY_SIZE = 16 * 1024;
-const RATE_WINDOW_MS = 15 * 60 * 1000;
-const RATE_MAX_REQUESTS = 5;
-const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i;
-const requestBuckets = new Map();
-const HUBSPOT_API_BASE = (process.env.HUBSPOT_API_BASE || "https://api.hubapi.com").replace(
-  /\/+$/,
-  ""
+const DIST_DIR = path.join(process.cwd(), "dist");
+// The built site is served when there is one; STATIC_DIR=. serves the sources while editing them.
+const STATIC_DIR = path.resolve(
+  process.env.STATIC_DIR || (fs.existsSync(path.join(DIST_DIR, "index.html")) ? DIST_DIR : ".")
 );
-const HUBSPOT_ACCESS_TOKEN = (process.env.HUBSPOT_ACCESS_TOKEN || "").trim();
-
-const MIME_TYPES = {
-  ".html": "text/html; charset=utf-8",
-  ".css": "text/css; charset=utf-8",
-  ".js": "application/javascript; charset=utf-8",
-  ".json": "application/json; charset=utf-8",
-  ".jpg": "image/jpeg",
-  ".jpeg": "image/jpeg",
-  ".png": "image/png",
-  ".svg": "image/svg+xml",
-  ".webp": "image/webp",
-  ".ico": "image/x-icon",
-};
+const OUTBOX_POLL_MS = Number(process.env.OUTBOX_POLL_MS || 30 * 1000);
 
 function sendJson(res, statusCode, payload, extraHeaders = {}) {
   res.writeHead(statusCode, {
@@ -38,290 +38,80 @@ function sendJson(res, statusCode, payload, extraHeaders = {}) {
   res.end(JSON.stringify(payload));
 }
 
-function getClientIp(req) {
-  const forwarded = req.headers["x-forwarded-for"];
-  if (typeof forwarded === "string" && forwarded.trim()) {
-    return forwarded.split(",")[0].trim();
-  }
-
-  const socketAddress = req.socket && req.socket.remoteAddress;
-  return typeof socketAddress === "string" ? socketAddress : "unknown";
-}
-
-function isRateLimited(ip) {
-  const now = Date.now();
-  const current = requestBuckets.get(ip) || [];
-  const withinWindow = current.filter((timestamp) => now - timestamp < RATE_WINDOW_MS);
-  withinWindow.push(now);
-  requestBuckets.set(ip, withinWindow);
-
-  return withinWindow.length > RATE_MAX_REQUESTS;
-}
-
-function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let rawBody = "";
-
-    req.on("data", (chunk) => {
-      rawBody += chunk;
-      if (Buffer.byteLength(rawBody, "utf8") > MAX_BODY_SIZE) {
-        reject(new Error("PAYLOAD_TOO_LARGE"));
-        req.destroy();
-      }
-    });
-
-    req.on("end", () => {
-      resolve(rawBody);
-    });
-
-    req.on("error", (err) => {
-      reject(err);
-    });
-  });
-}
-
-function splitName(name) {
-  const normalized = name.replace(/\s+/g, " ").trim();
-  if (!normalized) {
-    return { firstName: "", lastName: "" };
-  }
-
-  const [firstName, ...rest] = normalized.split(" ");
-  return {
-    firstName,
-    lastName: rest.join(" "),
-  };
-}
-
-async function getHubSpotErrorMessage(response) {
-  const raw = await response.text();
-  if (!raw) {
-    return `${response.status} ${response.statusText}`.trim();
-  }
-
-  try {
-    const parsed = JSON.parse(raw);
-    return parsed.message || parsed.error || raw;
-  } catch (error) {
-    return raw;
-  }
-}
-
-async function callHubSpot(path, method, body) {
-  if (!HUBSPOT_ACCESS_TOKEN) {
-    return { skipped: true };
-  }
-
-  const response = await fetch(`${HUBSPOT_API_BASE}${path}`, {
-    method,
-    headers: {
-      Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(body),
-  });
-
-  return {
-    skipped: false,
-    response,
-  };
-}
-
-async function syncLeadToHubSpot(lead) {
-  if (!HUBSPOT_ACCESS_TOKEN) {
-    return { skipped: true };
-  }
-
-  const { firstName, lastName } = splitName(lead.name);
-  const properties = {
-    email: lead.email,
-    firstname: firstName,
-  };
-
-  if (lastName) {
-    properties.lastname = lastName;
-  }
-
-  const patchResult = await callHubSpot(
-    `/crm/v3/objects/contacts/${encodeURIComponent(lead.email)}?idProperty=email`,
-    "PATCH",
-    { properties }
-  );
-
-  if (patchResult.skipped) {
-    return { skipped: true };
-  }
-
-  const patchResponse = patchResult.response;
-  if (patchResponse.ok) {
-    return { skipped: false, action: "updated" };
-  }
-
-  if (patchResponse.status !== 404) {
-    const errorMessage = await getHubSpotErrorMessage(patchResponse);
-    throw new Error(`HubSpot update failed (${patchResponse.status}): ${errorMessage}`);
-  }
-
-  const createResult = await callHubSpot("/crm/v3/objects/contacts", "POST", { properties });
-  if (createResult.skipped) {
-    return { skipped: true };
-  }
-
-  const createResponse = createResult.response;
-  if (createResponse.ok) {
-    return { skipped: false, action: "created" };
-  }
-
-  const createError = await getHubSpotErrorMessage(createResponse);
-  throw new Error(`HubSpot create failed (${createResponse.status}): ${createError}`);
-}
-
 function resolveFilePath(routePath) {
   const normalized = path.normalize(routePath).replace(/^(\.\.[/\\])+/, "");
-  const resolvedPath = path.resolve(ROOT_DIR, "." + normalized);
+  const resolvedPath = path.resolve(STATIC_DIR, "." + normalized);
 
-  if (!resolvedPath.startsWith(ROOT_DIR)) {
+  if (!resolvedPath.startsWith(STATIC_DIR)) {
     return null;
   }
 
   return resolvedPath;
 }
 
-function serveFile(res, filePath, extraHeaders = {}) {
-  fs.readFile(filePath, (error, content) => {
-    if (error) {
-      if (error.code === "ENOENT") {
-        res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
-        res.end("Not Found");
-        return;
-      }
-
-      res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
-      res.end("Internal Server Error");
-      return;
-    }
-
-    const extension = path.extname(filePath).toLowerCase();
-    const type = MIME_TYPES[extension] || "application/octet-stream";
-
-    res.writeHead(200, {
-      "Content-Type": type,
-      "X-Content-Type-Options": "nosniff",
-      ...extraHeaders,
-    });
-    res.end(content);
-  });
-}
-
-async function handlePromoLead(req, res) {
-  if (req.method === "OPTIONS") {
-    sendJson(res, 204, {}, { Allow: "POST, OPTIONS" });
-    return;
-  }
-
-  if (req.method !== "POST") {
-    sendJson(res, 405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
-    return;
-  }
-
-  const ip = getClientIp(req);
-  if (isRateLimited(ip)) {
-    sendJson(res, 429, { ok: false, error: "Too many requests. Try again later." });
-    return;
-  }
+const adminApi = createNodeHandler(handleAdmin);
+
+const API_ROUTES = {
+  "/api/promo-lead": createNodeHandler(handlePromoLead),
+  "/api/promo-lead/confirm": createNodeHandler(handlePromoLeadConfirm),
+  "/api/campaign": createNodeHandler(handleCampaign),
+  "/api/form-token": createNodeHandler(handleFormToken),
+  "/api/quote-request": createNodeHandler(handleQuoteRequest),
+  "/api/availability": createNodeHandler(handleAvailability),
+  "/api/bookings": createNodeHandler(handleBookings),
+  "/api/estimate": createNodeHandler(handleEstimate),
+  "/api/coupons/validate": createNodeHandler(handleCouponValidate),
+  "/api/coupons/redeem": createNodeHandler(handleCouponRedeem),
+  "/api/outbox-worker": createNodeHandler(handleOutboxWorker),
+  "/api/unsubscribe": createNodeHandler(handleUnsubscribe),
+  "/api/leads/export": createNodeHandler(handleLeadExport),
+  "/api/admin/session": adminApi,
+  "/api/admin/login": adminApi,
+  "/api/admin/logout": adminApi,
+  "/api/admin/leads": adminApi,
+  "/api/admin/lead": adminApi,
+  "/api/admin/resync": adminApi,
+};
 
-  let parsed;
+async function handleRequest(req, res) {
   try {
-    const rawBody = await parseBody(req);
-    parsed = rawBody ? JSON.parse(rawBody) : {};
-  } catch (error) {
-    if (error instanceof Error && error.message === "PAYLOAD_TOO_LARGE") {
-      sendJson(res, 413, { ok: false, error: "Payload too large." });
+    const host = req.headers.host || `${HOST}:${PORT}`;
+    const requestUrl = new URL(req.url || "/", `http://${host}`);
+    let routePath;
+    try {
+      routePath = decodeURIComponent(requestUrl.pathname);
+    } catch (error) {
+      // A malformed escape such as %E0%A4%A names no file.
+      sendJson(res, 400, { ok: false, error: "Bad path." });
       return;
     }
-
-    sendJson(res, 400, { ok: false, error: "Invalid request body." });
-    return;
-  }
-
-  const name = typeof parsed.name === "string" ? parsed.name.trim() : "";
-  const email = typeof parsed.email === "string" ? parsed.email.trim() : "";
-  const source = typeof parsed.source === "string" ? parsed.source.trim() : "promo-email";
-  const createdAtClient =
-    typeof parsed.createdAt === "string" ? parsed.createdAt.trim() : new Date().toISOString();
-  const pagePath = typeof parsed.pagePath === "string" ? parsed.pagePath.trim() : "";
-  const userAgent =
-    typeof parsed.userAgent === "string"
-      ? parsed.userAgent.trim()
-      : String(req.headers["user-agent"] || "");
-  const company = typeof parsed.company === "string" ? parsed.company.trim() : "";
-
-  if (company) {
-    sendJson(res, 200, { ok: true });
-    return;
-  }
-
-  if (name.length < 2) {
-    sendJson(res, 400, { ok: false, error: "Please send your name." });
-    return;
-  }
-
-  if (!emailRegex.test(email)) {
-    sendJson(res, 400, { ok: false, error: "Please send a valid email address." });
-    return;
-  }
-
-  const lead = {
-    name,
-    email: email.toLowerCase(),
-    source: source || "promo-email",
-    createdAt: new Date().toISOString(),
-    createdAtClient,
-    pagePath: pagePath || "/promo-email/",
-    userAgent,
-    ip,
-  };
-
-  console.log("[promo-lead] %s", JSON.stringify(lead));
-
-  try {
-    const hubspotResult = await syncLeadToHubSpot(lead);
-    if (hubspotResult.skipped) {
-      console.warn(
-        "[promo-lead] HubSpot sync skipped because HUBSPOT_ACCESS_TOKEN is not configured."
-      );
-    } else {
-      console.log("[promo-lead] HubSpot contact %s.", hubspotResult.action);
+    // The same header rules netlify.toml and vercel.json are generated from.
+    for (const [name, value] of Object.entries(await getHeadersForPath(routePath))) {
+      res.setHeader(name, value);
     }
-  } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
-    console.error("[promo-lead] HubSpot sync error: %s", message);
-    sendJson(res, 502, { ok: false, error: "Unable to save your lead right now. Please try again." });
-    return;
-  }
-
-  // TODO(crm-mailchimp): send `lead` to Mailchimp audience using MAILCHIMP_API_KEY from env.
-  // TODO(crm-airtable): persist `lead` to Airtable with AIRTABLE_API_KEY + AIRTABLE_BASE_ID.
-
-  sendJson(res, 200, { ok: true, coupon: "BEST10" });
-}
-
-const server = http.createServer(async (req, res) => {
-  try {
-    const host = req.headers.host || `${HOST}:${PORT}`;
-    const requestUrl = new URL(req.url || "/", `http://${host}`);
-    const routePath = decodeURIComponent(requestUrl.pathname);
 
-    if (routePath === "/api/promo-lead") {
-      await handlePromoLead(req, res);
+    const apiHandler = API_ROUTES[routePath];
+    if (apiHandler) {
+      await apiHandler(req, res, requestUrl);
       return;
     }
 
     let filePath;
     if (routePath === "/") {
-      filePath = path.join(ROOT_DIR, "index.html");
+      filePath = path.join(STATIC_DIR, "index.html");
     } else if (routePath === "/promo-email" || routePath === "/promo-email/") {
-      filePath = path.join(ROOT_DIR, "promo-email", "index.html");
+      filePath = path.join(STATIC_DIR, "promo-email", "index.html");
+    } else if (
+      routePath === "/promo-email/unsubscribe" ||
+      routePath === "/promo-email/unsubscribe/"
+    ) {
+      // Where /api/unsubscribe sends the links in our emails.
+      filePath = path.join(STATIC_DIR, "promo-email", "unsubscribe", "index.html");
+    } else if (/^\/promo\/[^/]+\/?$/.test(routePath)) {
+      // Campaign pages share the promo page, which loads its copy from /api/campaign.
+      filePath = path.join(STATIC_DIR, "promo-email", "index.html");
+    } else if (routePath === "/admin" || routePath === "/admin/") {
+      filePath = path.join(STATIC_DIR, "admin", "index.html");
     } else {
       const resolved = resolveFilePath(routePath);
       if (!resolved) {
@@ -335,16 +125,47 @@ const server = http.createServer(async (req, res) => {
       }
     }
 
-    const extraHeaders = routePath.startsWith("/promo-email")
-      ? { "X-Robots-Tag": "noindex, nofollow" }
-      : {};
+    // Only the pages, assets and locales are public, even when serving from the source tree.
+    if (!isPublicPath(path.relative(STATIC_DIR, filePath))) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not Found");
+      return;
+    }
 
-    serveFile(res, filePath, extraHeaders);
+    await serveStaticFile(req, res, filePath);
   } catch (error) {
     sendJson(res, 500, { ok: false, error: "Internal server error." });
   }
-});
+}
+
+function startServer() {
+  const server = http.createServer(handleRequest);
+
+  server.listen(PORT, HOST, () => {
+    console.log(`Server running at http://${HOST}:${PORT}`);
+    console.log(`Serving static files from ${path.relative(process.cwd(), STATIC_DIR) || "."}`);
+  });
 
-server.listen(PORT, HOST, () => {
-  console.log(`Server running at http://${HOST}:${PORT}`);
-});
+  const outboxTimer = setInterval(() => {
+    processOutbox().catch((error) => {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error("[outbox] Worker error: %s", message);
+    });
+  }, OUTBOX_POLL_MS);
+  outboxTimer.unref();
+}
+
+const cliArgs = process.argv.slice(2);
+if (cliArgs.length) {
+  runCli(cliArgs).then(
+    (exitCode) => {
+      process.exitCode = exitCode;
+    },
+    (error) => {
+      console.error(error instanceof Error ? error.message : String(error));
+      process.exitCode = 1;
+    }
+  );
+} else {
+  startServer();
+}
@@ -0,0 +1,34 @@
+// Checks for the misspelled-domain suggestions. Run with `node --test test/`.
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { suggestDomain } = require("../assets/email-check");
+
+test("corrects misspelled common domains", () => {
+  assert.equal(suggestDomain("gmial.com"), "gmail.com");
+  assert.equal(suggestDomain("hotmial.com"), "hotmail.com");
+  assert.equal(suggestDomain("yaho.com.br"), "yahoo.com.br");
+  assert.equal(suggestDomain("hotmail.con"), "hotmail.com");
+  assert.equal(suggestDomain("hotmial.con"), "hotmail.com");
+  assert.equal(suggestDomain("example.cmo"), "example.com");
+});
+
+test("leaves other countries' editions alone", () => {
+  assert.equal(suggestDomain("yahoo.com.mx"), "");
+  assert.equal(suggestDomain("yahoo.com.ar"), "");
+  assert.equal(suggestDomain("yahoo.com.co"), "");
+  assert.equal(suggestDomain("hotmail.com.ar"), "");
+});
+
+test("leaves real domains near a common one alone", () => {
+  assert.equal(suggestDomain("bol.com"), "");
+  assert.equal(suggestDomain("bol.com.br"), "");
+  assert.equal(suggestDomain("aim.com"), "");
+  assert.equal(suggestDomain("yopmail.com"), "");
+});
+
+test("only compares domains under the same ending", () => {
+  assert.equal(suggestDomain("yahoo.com.pe"), "");
+  assert.equal(suggestDomain("hotmail.com.uy"), "");
+  assert.equal(suggestDomain("gmail.co.uk"), "");
+});
@@ -0,0 +1,231 @@
+// Checks for the anti-bot fields on the public forms. Run with `node --test test/`.
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+
+// The modules read their settings once, as they load.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "bws-form-guard-"));
+process.env.DATA_DIR = dataDir;
+process.env.LINK_SIGNING_SECRET = "form-guard-test-secret";
+process.env.FORM_MIN_FILL_MS = "3000";
+
+const { checkFormGuard, checkOrigin, setCaptchaVerifier } = require("../lib/form-guard");
+const { handlePromoLead } = require("../lib/promo-lead");
+const { handleQuoteRequest } = require("../lib/quote-request");
+const { createSignedToken } = require("../lib/signed-token");
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function formToken(ageMs) {
+  return createSignedToken("form", { issuedAt: Date.now() - ageMs }, 60 * 60 * 1000);
+}
+
+function jsonRequest(headers = {}) {
+  return {
+    method: "POST",
+    path: "/api/promo-lead",
+    headers: { host: "localhost:3000", "content-type": "application/json", ...headers },
+    ip: "203.0.113.5",
+  };
+}
+
+function captchaStub(verify) {
+  return { verify };
+}
+
+let nextIp = 1;
+
+function post(handler, pathName, body, { form = false, accept = "", ip = "" } = {}) {
+  return handler({
+    method: "POST",
+    path: pathName,
+    query: {},
+    headers: {
+      host: "localhost:3000",
+      "content-type": form ? "application/x-www-form-urlencoded" : "application/json",
+      ...(accept ? { accept } : {}),
+    },
+    rawBody: form ? new URLSearchParams(body).toString() : JSON.stringify(body),
+    ip: ip || `192.0.2.${nextIp++}`,
+  });
+}
+
+const promoLead = { name: "Ana Souza", email: "ana@example.com", source: "promo-email" };
+
+const quote = {
+  nome: "Ana Souza",
+  whats: "(11) 91234-5678",
+  email: "ana@example.com",
+  tipo: "Residential",
+  tamanho: "80",
+  local: "Sao Paulo",
+};
+
+test("promo-lead rejects a form post without a fill-time token", async () => {
+  const response = await post(handlePromoLead, "/api/promo-lead", promoLead, { form: true });
+  assert.equal(response.statusCode, 400);
+  assert.equal(JSON.parse(response.body).coupon, undefined);
+});
+
+test("promo-lead rejects a JSON post without a fill-time token", async () => {
+  const response = await post(handlePromoLead, "/api/promo-lead", promoLead);
+  assert.equal(response.statusCode, 400);
+});
+
+test("quote-request accepts the no-JavaScript form post", async () => {
+  const response = await post(handleQuoteRequest, "/api/quote-request", quote, { form: true });
+  assert.equal(response.statusCode, 303);
+  assert.match(response.headers.Location, /quote=sent/);
+});
+
+test("quote-request holds no-JavaScript posts to their own rate limit", async () => {
+  const options = { form: true, accept: "application/json", ip: "198.51.100.7" };
+  const body = { ...quote, email: "limits@example.com" };
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const response = await post(handleQuoteRequest, "/api/quote-request", body, options);
+    assert.equal(response.statusCode, 200);
+  }
+
+  const limited = await post(handleQuoteRequest, "/api/quote-request", body, options);
+  assert.equal(limited.statusCode, 429);
+});
+
+test("quote-request still needs a token on a JSON post", async () => {
+  const response = await post(handleQuoteRequest, "/api/quote-request", quote);
+  assert.equal(response.statusCode, 400);
+});
+
+test("fill time: a token older than the minimum passes", async () => {
+  assert.deepEqual(await checkFormGuard(jsonRequest(), { formToken: formToken(5000) }), {
+    ok: true,
+    noScript: false,
+  });
+});
+
+test("fill time: a form sent back too quickly gets the silent fake success", async () => {
+  const guard = await checkFormGuard(jsonRequest(), { formToken: formToken(500) });
+  assert.equal(guard.ok, false);
+  assert.equal(guard.reason, "too-fast");
+  assert.equal(guard.silent, true);
+});
+
+test("fill time: tampered, foreign and expired tokens ask for a reload", async () => {
+  const [payload, signature] = formToken(5000).split(".");
+  const tampered = `${payload}.${signature.slice(1)}x`;
+  const foreign = createSignedToken("unsubscribe", { issuedAt: Date.now() - 5000 }, 0);
+
+  for (const token of [tampered, foreign]) {
+    const guard = await checkFormGuard(jsonRequest(), { formToken: token });
+    assert.equal(guard.reason, "form-token-invalid");
+    assert.equal(guard.errorKey, "api.error.formExpired");
+  }
+
+  // Expiry is kept in whole seconds, so a 1 ms token has run out a second later.
+  const expired = createSignedToken("form", { issuedAt: Date.now() - 5000 }, 1);
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  const guard = await checkFormGuard(jsonRequest(), { formToken: expired });
+  assert.equal(guard.reason, "form-token-expired");
+  assert.equal(guard.errorKey, "api.error.formExpired");
+});
+
+test("fill time: a tokenless form post only passes where the route opts in", async () => {
+  const request = jsonRequest({ "content-type": "application/x-www-form-urlencoded" });
+  const strict = await checkFormGuard(request, {});
+  assert.equal(strict.reason, "form-token-missing");
+
+  const optedIn = await checkFormGuard(request, {}, { allowNoScript: true });
+  assert.deepEqual(optedIn, { ok: true, noScript: true });
+
+  const json = await checkFormGuard(jsonRequest(), {}, { allowNoScript: true });
+  assert.equal(json.reason, "form-token-missing");
+});
+
+test("captcha: the verifier's answer decides", async (t) => {
+  t.after(() => setCaptchaVerifier(null));
+  const seen = [];
+  setCaptchaVerifier(
+    captchaStub(async (token, ip) => {
+      seen.push([token, ip]);
+      return token === "good" ? { ok: true } : { ok: false, reason: "invalid-input-response" };
+    })
+  );
+  const body = (captchaToken) => ({ formToken: formToken(5000), captchaToken });
+
+  assert.equal((await checkFormGuard(jsonRequest(), body("good"))).ok, true);
+  assert.deepEqual(seen, [["good", "203.0.113.5"]]);
+
+  const rejected = await checkFormGuard(jsonRequest(), body("bad"));
+  assert.equal(rejected.reason, "captcha-invalid-input-response");
+  assert.equal(rejected.errorKey, "api.error.captcha");
+
+  const missing = await checkFormGuard(jsonRequest(), body(""));
+  assert.equal(missing.reason, "captcha-missing");
+  assert.equal(missing.errorKey, "api.error.captcha");
+  assert.equal(seen.length, 2);
+});
+
+test("captcha: a verifier outage turns the submission away with 503", async (t) => {
+  t.after(() => setCaptchaVerifier(null));
+  setCaptchaVerifier(
+    captchaStub(async () => {
+      throw new Error("connect ECONNREFUSED");
+    })
+  );
+
+  const guard = await checkFormGuard(jsonRequest(), {
+    formToken: formToken(5000),
+    captchaToken: "good",
+  });
+  assert.equal(guard.ok, false);
+  assert.equal(guard.statusCode, 503);
+  assert.equal(guard.errorKey, "api.error.captchaUnavailable");
+});
+
+test("captcha: CAPTCHA_FAIL_OPEN lets the submission through during an outage", async (t) => {
+  // The setting is read as the module loads, so take a fresh copy with it on.
+  const modulePath = require.resolve("../lib/form-guard");
+  const cached = require.cache[modulePath];
+  process.env.CAPTCHA_FAIL_OPEN = "true";
+  delete require.cache[modulePath];
+  const failOpen = require("../lib/form-guard");
+  t.after(() => {
+    delete process.env.CAPTCHA_FAIL_OPEN;
+    require.cache[modulePath] = cached;
+  });
+
+  failOpen.setCaptchaVerifier(
+    captchaStub(async () => {
+      throw new Error("connect ECONNREFUSED");
+    })
+  );
+  const guard = await failOpen.checkFormGuard(jsonRequest(), {
+    formToken: formToken(5000),
+    captchaToken: "good",
+  });
+  assert.equal(guard.ok, true);
+});
+
+test("captcha: promo-lead answers a rejected CAPTCHA with 400", async (t) => {
+  t.after(() => setCaptchaVerifier(null));
+  setCaptchaVerifier(captchaStub(async () => ({ ok: false, reason: "" })));
+
+  const response = await post(handlePromoLead, "/api/promo-lead", {
+    ...promoLead,
+    formToken: formToken(5000),
+    captchaToken: "bad",
+  });
+  assert.equal(response.statusCode, 400);
+  assert.equal(JSON.parse(response.body).coupon, undefined);
+});
+
+test("origin: our own pages pass and other sites are refused", () => {
+  const check = (headers) => checkOrigin(jsonRequest(headers));
+
+  assert.equal(check({ origin: "http://localhost:3000" }).allowed, true);
+  assert.equal(check({}).allowed, true);
+  assert.equal(check({ origin: "https://evil.example" }).allowed, false);
+  assert.equal(check({ origin: "null" }).allowed, false);
+  assert.equal(check({ "sec-fetch-site": "cross-site" }).allowed, false);
+});
@@ -0,0 +1,20 @@
+// Checks for reading the free-text size field. Run with `node --test test/`.
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { parseSize } = require("../lib/pricing");
+
+test("reads thousands in either separator", () => {
+  assert.equal(parseSize("1,200 sq ft").value, 1200);
+  assert.equal(parseSize("1.200 m2").value, 1200);
+  assert.equal(parseSize("1.200,5 m²").value, 1200.5);
+  assert.equal(parseSize("1,200.5 sq ft").value, 1200.5);
+  assert.equal(parseSize("2.500.000 sq ft").value, 2500000);
+});
+
+test("reads decimals in either separator", () => {
+  assert.equal(parseSize("80,5 m2").value, 80.5);
+  assert.equal(parseSize("80.5 m2").value, 80.5);
+  assert.equal(parseSize("1.25 m2").value, 1.25);
+  assert.equal(parseSize("3 quartos").rooms, 3);
+});